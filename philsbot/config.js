@@ -0,0 +1,192 @@
+import path from 'path';
+import dotenv from 'dotenv';
+
+// Load .env before anything reads process.env
+dotenv.config();
+
+// Read an integer environment variable, falling back when unset or invalid
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Reads a token bucket from the environment: `<prefix>_BURST` and `<prefix>_PER_MINUTE`.
+ * @throws When the bucket is enabled but doesn't refill, as it would lock clients out for good.
+ */
+const envRateLimit = (prefix, capacity, refillPerMinute) => {
+  const limit = {
+    capacity: envInt(`${prefix}_BURST`, capacity),
+    refillPerMinute: envInt(`${prefix}_PER_MINUTE`, refillPerMinute),
+  };
+  if (limit.capacity > 0 && limit.refillPerMinute <= 0) {
+    throw new Error(`${prefix}_PER_MINUTE must be greater than 0 unless ${prefix}_BURST is 0`);
+  }
+  return limit;
+};
+
+// Directory for everything the bot persists locally (sessions, stores, snapshots)
+const dataDir = path.resolve(process.env.DATA_DIR || 'data');
+
+const port = envInt('PORT', 3001);
+
+const config = {
+  port,
+  // Absolute URL the server is reached at, for links in alert emails
+  publicUrl: process.env.PUBLIC_URL || `http://localhost:${port}`,
+  dataDir,
+  llm: {
+    // LLM backend: openai, or mock for offline development
+    provider: process.env.LLM_PROVIDER || 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    // Optional JSON file with scripted `replies` and `completions` for the mock provider
+    mockScriptFile: process.env.MOCK_PROVIDER_SCRIPT,
+    // Pause between mock textDelta events, to exercise slow streams
+    mockChunkDelayMs: envInt('MOCK_PROVIDER_CHUNK_DELAY_MS', 0),
+  },
+  suggestions: {
+    // Chat model used for quick replies; must support structured outputs
+    model: process.env.SUGGESTIONS_MODEL || 'gpt-4o-mini',
+    // Number of quick replies after each answer (0 disables them)
+    count: envInt('SUGGESTIONS_COUNT', 3),
+    tone: process.env.SUGGESTIONS_TONE || 'casual, conversational',
+    temperature: parseFloat(process.env.SUGGESTIONS_TEMPERATURE || '0.3'),
+    // Recent thread messages given to the model as context
+    contextMessages: envInt('SUGGESTIONS_CONTEXT_MESSAGES', 8),
+  },
+  listingCards: {
+    // Most listing cards sent after an answer (0 disables them)
+    max: envInt('LISTING_CARDS_MAX', 6),
+  },
+  locales: {
+    // Locale of sessions that neither set one on init_session nor wrote enough to detect one
+    default: process.env.DEFAULT_LOCALE || 'en-CA',
+  },
+  sessions: {
+    // Backend used to persist chat sessions: memory, json or sqlite
+    store: process.env.SESSION_STORE || 'memory',
+    // Session timeout in milliseconds (30 minutes)
+    timeoutMs: envInt('SESSION_TIMEOUT_MS', 30 * 60 * 1000),
+    // How often expired sessions are swept from the store
+    sweepIntervalMs: envInt('SESSION_SWEEP_INTERVAL_MS', 60 * 1000),
+    // Messages per session_history page sent on resume
+    historyPageSize: envInt('SESSION_HISTORY_PAGE_SIZE', 20),
+    jsonFile: process.env.SESSION_JSON_FILE || path.join(dataDir, 'sessions.json'),
+    sqliteFile: process.env.SESSION_SQLITE_FILE || path.join(dataDir, 'sessions.db'),
+  },
+  admin: {
+    // Bearer token for /admin routes; the admin API is disabled when unset
+    token: process.env.ADMIN_TOKEN,
+  },
+  leads: {
+    file: process.env.LEADS_FILE || path.join(dataDir, 'leads.json'),
+  },
+  feedback: {
+    // Ratings of responses, with the prompt and response they rate
+    file: process.env.FEEDBACK_FILE || path.join(dataDir, 'feedback.json'),
+  },
+  mortgage: {
+    // Rate the mortgage calculator assumes when the visitor gives none, in percent
+    defaultRate: parseFloat(process.env.MORTGAGE_DEFAULT_RATE || '4.5'),
+    amortizationYears: envInt('MORTGAGE_AMORTIZATION_YEARS', 25),
+    termYears: envInt('MORTGAGE_TERM_YEARS', 5),
+  },
+  alerts: {
+    // Saved searches and the listings each was already alerted about
+    file: process.env.SAVED_SEARCHES_FILE || path.join(dataDir, 'savedSearches.json'),
+    // How alerts are delivered: log (console), smtp or webhook
+    notifier: process.env.ALERT_NOTIFIER || 'log',
+    // nodemailer connection URL; the default suits a local mail catcher such as Mailpit
+    smtpUrl: process.env.SMTP_URL || 'smtp://localhost:1025',
+    from: process.env.ALERT_FROM || 'Listing alerts <alerts@localhost>',
+    webhookUrl: process.env.ALERT_WEBHOOK_URL,
+    // Signs webhook bodies in X-PhilsBot-Signature when set
+    webhookSecret: process.env.ALERT_WEBHOOK_SECRET,
+    // Most listings in one alert
+    maxListings: envInt('ALERT_MAX_LISTINGS', 10),
+  },
+  scraper: {
+    // Where the daily listingsYYYY-MM-DD.json snapshots are written
+    snapshotDir: process.env.LISTINGS_DIR || path.join(dataDir, 'listings'),
+    // JSON file listing the sources to scrape; defaults to the dorisgee.com myRealPage site
+    sourcesFile: process.env.LISTING_SOURCES_FILE,
+    // Record of past scrape runs, newest first
+    historyFile: process.env.SCRAPE_HISTORY_FILE || path.join(dataDir, 'scrapeHistory.json'),
+    maxHistory: envInt('SCRAPE_HISTORY_SIZE', 50),
+  },
+  quality: {
+    // A scrape with fewer valid listings than this isn't saved or uploaded
+    minListings: envInt('QUALITY_MIN_LISTINGS', 1),
+    // Nor one where less than this percentage of the listings is valid
+    minValidPercent: parseFloat(process.env.QUALITY_MIN_VALID_PERCENT || '80'),
+  },
+  crawler: {
+    // Requests in flight at once across all hosts
+    concurrency: envInt('CRAWLER_CONCURRENCY', 3),
+    // Minimum gap between requests to the same host; a longer robots.txt Crawl-delay wins
+    perHostDelayMs: envInt('CRAWLER_HOST_DELAY_MS', 1000),
+    // Retries on 429, 5xx and network errors, with exponential backoff and jitter
+    maxRetries: envInt('CRAWLER_MAX_RETRIES', 3),
+    baseBackoffMs: envInt('CRAWLER_BACKOFF_MS', 1000),
+    maxBackoffMs: envInt('CRAWLER_MAX_BACKOFF_MS', 30 * 1000),
+    timeoutMs: envInt('CRAWLER_TIMEOUT_MS', 10 * 1000),
+    userAgent: process.env.CRAWLER_USER_AGENT || 'PhilsBot/1.0 (listing assistant)',
+    respectRobots: process.env.CRAWLER_IGNORE_ROBOTS !== 'true',
+    // Pages kept with their ETag/Last-Modified for conditional requests ('' disables the cache)
+    cacheDir: process.env.CRAWLER_CACHE_DIR ?? path.join(dataDir, 'http-cache'),
+    // Cached pages not seen for this long are pruned after each scrape
+    cacheMaxAgeMs: envInt('CRAWLER_CACHE_MAX_AGE_MS', 30 * 24 * 60 * 60 * 1000),
+  },
+  exports: {
+    // Where listings.csv, listings.geojson, feed.atom and feed.rss are written after each scrape
+    dir: process.env.EXPORTS_DIR || path.join(dataDir, 'exports'),
+    // Absolute URL of /exports, used for the feeds' self links
+    publicUrl: process.env.EXPORTS_PUBLIC_URL,
+    feedTitle: process.env.EXPORT_FEED_TITLE || 'New and updated listings',
+    // Most recent scrapes whose changes appear in the feeds
+    feedChangeSets: envInt('EXPORT_FEED_SCRAPES', 14),
+  },
+  media: {
+    // Download listing photos and serve them, with thumbnails, from /media
+    enabled: process.env.MEDIA_DOWNLOAD !== 'false',
+    dir: process.env.MEDIA_DIR || path.join(dataDir, 'media'),
+    // Which images are stored, kept outside the media directory so it isn't served
+    indexFile: process.env.MEDIA_INDEX_FILE || path.join(dataDir, 'mediaIndex.json'),
+    // URL prefix of /media in chat responses; set an absolute URL when the widget runs on another origin
+    publicUrl: process.env.MEDIA_PUBLIC_URL || '/media',
+    thumbnailWidths: (process.env.MEDIA_THUMBNAIL_WIDTHS || '320,800')
+      .split(',')
+      .map((width) => parseInt(width, 10))
+      .filter((width) => width > 0),
+    maxPhotos: envInt('MEDIA_MAX_PHOTOS', 30),
+  },
+  vectorStore: {
+    // Vector store the assistant's file search reads listings from
+    id: process.env.VECTOR_STORE_ID || 'vs_AhOMGRbrpoH3HhhlQq5Dv7oM',
+    // Tracks which uploaded file IDs belong to which snapshot
+    manifestFile: process.env.VECTOR_STORE_MANIFEST || path.join(dataDir, 'vectorStoreManifest.json'),
+    pollIntervalMs: envInt('VECTOR_STORE_POLL_INTERVAL_MS', 2000),
+    indexTimeoutMs: envInt('VECTOR_STORE_INDEX_TIMEOUT_MS', 10 * 60 * 1000),
+    // Only report what the nightly sync would upload and remove
+    dryRun: process.env.VECTOR_STORE_DRY_RUN === 'true',
+  },
+  limits: {
+    // Take client IPs from X-Forwarded-For (set when running behind the Heroku router or another proxy)
+    trustProxy: process.env.TRUST_PROXY === 'true',
+    // Longest prompt accepted, in characters
+    maxPromptLength: envInt('MAX_PROMPT_LENGTH', 2000),
+    // Most sessions alive at once (0 disables the cap)
+    maxSessions: envInt('MAX_LIVE_SESSIONS', 1000),
+    // Token buckets for prompts: burst capacity and sustained rate (0 capacity disables a bucket)
+    promptPerSession: envRateLimit('RATE_LIMIT_SESSION', 5, 10),
+    promptPerIp: envRateLimit('RATE_LIMIT_IP', 15, 30),
+    promptGlobal: envRateLimit('RATE_LIMIT_GLOBAL', 60, 300),
+    // Token bucket for new sessions per IP
+    sessionCreatePerIp: envRateLimit('RATE_LIMIT_SESSION_CREATE', 5, 5),
+    // Token bucket for saved searches created through the API per IP
+    savedSearchCreatePerIp: envRateLimit('RATE_LIMIT_SAVED_SEARCH', 3, 1),
+  },
+};
+
+export { envInt };
+export default config;
@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+import config from '../config.js';
+
+/**
+ * Express middleware that only lets requests with `Authorization: Bearer <ADMIN_TOKEN>` through.
+ * Admin routes are disabled entirely when ADMIN_TOKEN is not set.
+ */
+export function requireAdmin(req, res, next) {
+  const { token } = config.admin;
+  if (!token) {
+    return res.status(503).json({ error: 'Admin API is disabled; set ADMIN_TOKEN to enable it' });
+  }
+
+  const [scheme, provided = ''] = (req.get('Authorization') || '').split(' ');
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided);
+  // Compare in constant time so the token can't be guessed byte by byte
+  if (
+    scheme !== 'Bearer' ||
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
@@ -0,0 +1,225 @@
+import express from 'express';
+import { requireAdmin } from './adminAuth.js';
+import { toCsv } from '../services/utils.js';
+import {
+  listSessions,
+  getSessionTranscript,
+  cleanupSession,
+  getAssistantInfo,
+} from '../services/chatService.js';
+
+// Columns of the leads CSV export
+const LEAD_CSV_COLUMNS = [
+  ['id', (lead) => lead.id],
+  ['createdAt', (lead) => lead.createdAt],
+  ['source', (lead) => lead.source],
+  ['name', (lead) => lead.name],
+  ['email', (lead) => lead.email],
+  ['phone', (lead) => lead.phone],
+  ['listingOfInterest', (lead) => lead.listingOfInterest],
+  ['message', (lead) => lead.message],
+  ['sessionId', (lead) => lead.conversation?.sessionId],
+  ['threadId', (lead) => lead.conversation?.threadId],
+];
+
+// Columns of the feedback CSV export
+const FEEDBACK_CSV_COLUMNS = [
+  ['id', (record) => record.id],
+  ['createdAt', (record) => record.createdAt],
+  ['updatedAt', (record) => record.updatedAt],
+  ['rating', (record) => record.rating],
+  ['comment', (record) => record.comment],
+  ['locale', (record) => record.locale],
+  ['prompt', (record) => record.prompt?.content],
+  ['response', (record) => record.response?.content],
+  ['promptMessageId', (record) => record.prompt?.messageId],
+  ['responseMessageId', (record) => record.messageId],
+  ['sessionId', (record) => record.conversation?.sessionId],
+  ['threadId', (record) => record.conversation?.threadId],
+];
+
+/**
+ * Admin API. Every route requires the admin bearer token.
+ * @param {object} services
+ * @param {LeadStore} services.leadStore Captured leads.
+ * @param {FeedbackStore} services.feedbackStore Ratings of responses.
+ * @param {ScraperService} services.scraperService Scraper that uploads listings to the vector store.
+ * @param {ScrapeJobRunner} services.scrapeJobs Runs scrapes and vector store syncs one at a time and keeps scrape history.
+ * @param {SavedSearchStore} services.savedSearches Visitors' saved searches.
+ * @param {SearchAlerts} services.searchAlerts Sends saved search alerts.
+ * @returns {Router}
+ */
+export function createAdminRouter({
+  leadStore,
+  feedbackStore,
+  scraperService,
+  scrapeJobs,
+  savedSearches,
+  searchAlerts,
+}) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // List live sessions: thread, last activity, message count and attached socket
+  router.get('/sessions', async (req, res) => {
+    try {
+      const sessions = await listSessions();
+      res.json({ count: sessions.length, sessions });
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      res.status(500).json({ error: 'Error listing sessions' });
+    }
+  });
+
+  // Read a session's whole conversation
+  router.get('/sessions/:id/transcript', async (req, res) => {
+    try {
+      const messages = await getSessionTranscript(req.params.id);
+      if (!messages) return res.status(404).json({ error: 'Session not found' });
+      res.json({ sessionId: req.params.id, messages });
+    } catch (error) {
+      console.error(`Error loading transcript for session ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Error loading transcript' });
+    }
+  });
+
+  // Force-end a session: deletes its thread and clears the widget
+  router.delete('/sessions/:id', async (req, res) => {
+    try {
+      if (!(await cleanupSession(req.params.id))) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error(`Error ending session ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Error ending session' });
+    }
+  });
+
+  // Sync the latest snapshot to the vector store; dry run unless { "dryRun": false } is sent.
+  // 409 while a scrape or another sync is running
+  router.post('/vector-store/sync', async (req, res) => {
+    const latest = scraperService.listSnapshotFiles().at(-1);
+    if (!latest) return res.status(404).json({ error: 'No snapshot to sync' });
+    try {
+      const report = await scrapeJobs.syncVectorStore(latest.fileName, {
+        dryRun: req.body?.dryRun !== false,
+      });
+      if (!report) {
+        return res.status(409).json({ error: 'A scrape or vector store sync is already running' });
+      }
+      res.json(report);
+    } catch (error) {
+      console.error('Error syncing vector store:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Start a scrape now; 409 while one is already running
+  router.post('/scrape', (req, res) => {
+    const { started, run } = scrapeJobs.start('manual');
+    if (!started) {
+      return res.status(409).json({ error: 'A scrape is already running', run });
+    }
+    res.status(202).json({ run });
+  });
+
+  // Progress of the running scrape and the outcome of the last one
+  router.get('/scrape/status', (req, res) => {
+    res.json(scrapeJobs.status());
+  });
+
+  // Past scrape runs, newest first
+  router.get('/scrape/history', (req, res) => {
+    const limit = parseInt(req.query.limit, 10);
+    res.json({ runs: scrapeJobs.listRuns(limit > 0 ? { limit } : {}) });
+  });
+
+  // Quality report of the latest scrape: field coverage and invalid listings with reasons
+  router.get('/scrape/quality', (req, res) => {
+    const report = scraperService.getLatestQualityReport();
+    if (!report) return res.status(404).json({ error: 'No quality report yet' });
+    res.json(report);
+  });
+
+  // Assistant and vector stores currently in use
+  router.get('/assistant', async (req, res) => {
+    try {
+      const assistant = await getAssistantInfo();
+      res.json({
+        assistant,
+        uploadVectorStoreId: scraperService.vectorStoreId,
+      });
+    } catch (error) {
+      console.error('Error describing assistant:', error);
+      res.status(500).json({ error: 'Error describing assistant' });
+    }
+  });
+
+  // List captured leads as JSON, or as a CSV download with ?format=csv
+  router.get('/leads', (req, res) => {
+    const leads = leadStore.list({ since: req.query.since });
+    if (req.query.format === 'csv') {
+      return res
+        .type('text/csv')
+        .attachment(`leads-${new Date().toISOString().split('T')[0]}.csv`)
+        .send(toCsv(leads, LEAD_CSV_COLUMNS));
+    }
+    res.json({ leads });
+  });
+
+  // List rated exchanges, thumbs down unless ?rating=up or all; ?format=csv or jsonl downloads them
+  router.get('/feedback', (req, res) => {
+    const rating = req.query.rating || 'down';
+    if (!['up', 'down', 'all'].includes(rating)) {
+      return res.status(400).json({ error: 'rating must be up, down or all' });
+    }
+    const feedback = feedbackStore.list({
+      rating: rating === 'all' ? undefined : rating,
+      since: req.query.since,
+    });
+    const fileName = `feedback-${rating}-${new Date().toISOString().split('T')[0]}`;
+    if (req.query.format === 'csv') {
+      return res
+        .type('text/csv')
+        .attachment(`${fileName}.csv`)
+        .send(toCsv(feedback, FEEDBACK_CSV_COLUMNS));
+    }
+    if (req.query.format === 'jsonl') {
+      // One exchange per line, e.g. for building an evaluation set
+      return res
+        .type('application/x-ndjson')
+        .attachment(`${fileName}.jsonl`)
+        .send(feedback.map((record) => `${JSON.stringify(record)}\n`).join(''));
+    }
+    res.json({ count: feedback.length, feedback });
+  });
+
+  // List saved searches; ?active=true or false filters by subscription
+  router.get('/saved-searches', (req, res) => {
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+    res.json({ searches: savedSearches.list({ active }) });
+  });
+
+  // Delete a saved search
+  router.delete('/saved-searches/:id', (req, res) => {
+    if (!savedSearches.remove(req.params.id)) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.status(204).end();
+  });
+
+  // Evaluate saved searches against the latest change set again, e.g. after fixing the notifier
+  router.post('/saved-searches/evaluate', async (req, res) => {
+    const [changes] = scraperService.listChangeSets(1);
+    if (!changes) return res.status(404).json({ error: 'No change set to evaluate' });
+    try {
+      res.json(await searchAlerts.evaluate(changes, scraperService.getLatestListings()));
+    } catch (error) {
+      console.error('Error evaluating saved searches:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
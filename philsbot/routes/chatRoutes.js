@@ -0,0 +1,147 @@
+import express from 'express';
+import {
+  createSession,
+  refreshSession,
+  checkSessionLimits,
+  checkPromptLimits,
+  getSessionHistory,
+  processPrompt,
+  cancelRun,
+  submitFeedback,
+} from '../services/chatService.js';
+import { DEFAULT_LOCALE, resolveLocale } from '../services/locale.js';
+
+/**
+ * Starts a Server-Sent Events response and returns a function that writes one event.
+ * @param {Response} res The Express response.
+ * @returns {function(string, object=): void}
+ */
+const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  return (event, payload = {}) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+};
+
+/**
+ * Responds to a request rejected by the chat limits: 429 with Retry-After, or 413 for long prompts.
+ * @param {Response} res The Express response.
+ * @param {object} rejection As returned by checkSessionLimits or checkPromptLimits.
+ */
+const sendRejection = (res, rejection) => {
+  if (rejection.reason === 'rate_limited') {
+    res
+      .set('Retry-After', String(rejection.retryAfter))
+      .status(429)
+      .json({ error: 'Too many requests', scope: rejection.scope, retryAfter: rejection.retryAfter });
+  } else {
+    res.status(413).json({ error: 'prompt is too long', maxLength: rejection.maxLength });
+  }
+};
+
+/**
+ * HTTP chat API for embeds that can't load the socket.io client.
+ * Replies stream as SSE using the same events as the socket handlers.
+ * @returns {Router}
+ */
+export function createChatRouter() {
+  const router = express.Router();
+
+  // Create a new chat session; `locale` in the body sets the language answers are in
+  router.post('/sessions', async (req, res) => {
+    try {
+      const rejection = await checkSessionLimits(req.ip);
+      if (rejection) return sendRejection(res, rejection);
+      const sessionId = await createSession({ locale: req.body?.locale });
+      res.status(201).json({ sessionId, locale: resolveLocale(req.body?.locale) || DEFAULT_LOCALE });
+    } catch (error) {
+      console.error('Error creating session:', error);
+      res.status(500).json({ error: 'Error creating session' });
+    }
+  });
+
+  // Send a prompt and stream the assistant's reply as Server-Sent Events
+  router.post('/sessions/:id/messages', async (req, res) => {
+    const prompt = req.body?.prompt;
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      return res.status(400).json({ error: 'prompt is required' });
+    }
+    let send = null;
+    try {
+      if (!(await refreshSession(req.params.id))) {
+        return res.status(404).json({ error: 'Session not found or expired' });
+      }
+      const rejection = checkPromptLimits(req.params.id, req.ip, prompt);
+      if (rejection) return sendRejection(res, rejection);
+
+      send = openEventStream(res);
+      // A client that goes away stops its own prompt, queued or running, and no one else's.
+      // The response, not the request, closes with the connection once the body has been read.
+      const disconnected = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) disconnected.abort();
+      });
+      await processPrompt(req.params.id, prompt, send, { signal: disconnected.signal });
+      send('done');
+      res.end();
+    } catch (error) {
+      console.error(`Error processing prompt for session ${req.params.id}:`, error);
+      if (!send) return res.status(500).json({ error: 'Error processing your request' });
+      send('error', { message: 'Error processing your request' });
+      res.end();
+    }
+  });
+
+  // Stop the reply that is currently streaming for a session
+  router.post('/sessions/:id/cancel', async (req, res) => {
+    const cancelled = await cancelRun(req.params.id);
+    res.status(cancelled ? 202 : 409).json({ cancelled });
+  });
+
+  // Rate a response (message_feedback on the socket): { messageId, rating: up|down, comment }
+  router.post('/sessions/:id/feedback', async (req, res) => {
+    try {
+      const session = await refreshSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found or expired' });
+      }
+      const { feedback, errors } = await submitFeedback(req.params.id, session, req.body);
+      if (!feedback) return res.status(400).json({ errors });
+      res.status(201).json({ feedbackId: feedback.id, messageId: feedback.messageId });
+    } catch (error) {
+      console.error(`Error saving feedback for session ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Error saving feedback' });
+    }
+  });
+
+  // Read the conversation so far, oldest message first
+  router.get('/sessions/:id/messages', async (req, res) => {
+    try {
+      const session = await refreshSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found or expired' });
+      }
+      const limit = parseInt(req.query.limit, 10);
+      res.json(
+        await getSessionHistory(req.params.id, session, {
+          after: req.query.after,
+          limit: limit > 0 ? Math.min(limit, 100) : undefined,
+        })
+      );
+    } catch (error) {
+      console.error(`Error loading history for session ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Error loading conversation history' });
+    }
+  });
+
+  return router;
+}
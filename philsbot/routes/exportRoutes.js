@@ -0,0 +1,71 @@
+import express from 'express';
+import config from '../config.js';
+import {
+  EXPORT_FILES,
+  listingsToCsv,
+  listingsToGeoJson,
+  changesToFeedEntries,
+  renderAtomFeed,
+  renderRssFeed,
+} from '../services/listingExport.js';
+
+// Exports change at most once per scrape; let clients and proxies reuse them for a while
+const CACHE_CONTROL = 'public, max-age=300';
+
+/**
+ * Public listing exports, built from the latest snapshot: CSV, GeoJSON, and
+ * Atom and RSS feeds of new and changed listings.
+ * @param {object} services
+ * @param {ScraperService} services.scraperService Provides the latest snapshot and change sets.
+ * @returns {Router}
+ */
+export function createExportRouter({ scraperService }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    res.set('Cache-Control', CACHE_CONTROL);
+    next();
+  });
+
+  // Self link of a feed: EXPORTS_PUBLIC_URL when set, else the URL it was requested on
+  const selfUrl = (req, name) =>
+    config.exports.publicUrl
+      ? `${config.exports.publicUrl.replace(/\/$/, '')}/${name}`
+      : `${req.protocol}://${req.get('host')}${req.baseUrl}/${name}`;
+
+  const feedEntries = () =>
+    changesToFeedEntries(scraperService.listChangeSets(config.exports.feedChangeSets));
+
+  router.get(`/${EXPORT_FILES.csv}`, (req, res) => {
+    res
+      .type('text/csv')
+      .attachment(EXPORT_FILES.csv)
+      .send(listingsToCsv(scraperService.getLatestListings()));
+  });
+
+  router.get(`/${EXPORT_FILES.geojson}`, (req, res) => {
+    res
+      .type('application/geo+json')
+      .send(JSON.stringify(listingsToGeoJson(scraperService.getLatestListings())));
+  });
+
+  router.get(`/${EXPORT_FILES.atom}`, (req, res) => {
+    res.type('application/atom+xml').send(
+      renderAtomFeed(feedEntries(), {
+        title: config.exports.feedTitle,
+        selfUrl: selfUrl(req, EXPORT_FILES.atom),
+      })
+    );
+  });
+
+  router.get(`/${EXPORT_FILES.rss}`, (req, res) => {
+    res.type('application/rss+xml').send(
+      renderRssFeed(feedEntries(), {
+        title: config.exports.feedTitle,
+        selfUrl: selfUrl(req, EXPORT_FILES.rss),
+      })
+    );
+  });
+
+  return router;
+}
@@ -0,0 +1,82 @@
+import express from 'express';
+import config from '../config.js';
+import { RateLimiter } from '../services/rateLimiter.js';
+import { validateSavedSearch, describeCriteria, addSavedSearch } from '../services/savedSearches.js';
+
+// Minimal page shown when a confirmation or unsubscribe link is opened
+const page = (message) =>
+  '<!doctype html><html><head><meta charset="utf-8"><title>Listing alerts</title></head>' +
+  `<body><p>${message}</p></body></html>`;
+
+/**
+ * Public saved search API: create a search with an alert contact, the link
+ * that confirms it and the unsubscribe links sent in every alert.
+ * @param {object} services
+ * @param {SavedSearchStore} services.savedSearches Where searches are stored.
+ * @param {SearchAlerts} services.searchAlerts Sends confirmation links and builds unsubscribe links.
+ * @returns {Router}
+ */
+export function createSavedSearchRouter({ savedSearches, searchAlerts }) {
+  const router = express.Router();
+  // Searches send mail to the address given, so creation is limited per IP
+  const createLimiter = new RateLimiter(config.limits.savedSearchCreatePerIp);
+
+  // Save a search: { name, email, phone, criteria }. Alerts start once the link sent to the contact is opened
+  router.post('/saved-searches', async (req, res) => {
+    const limit = createLimiter.consume(req.ip);
+    if (!limit.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(limit.retryAfterMs / 1000));
+      return res
+        .set('Retry-After', String(retryAfter))
+        .status(429)
+        .json({ error: 'Too many requests', retryAfter });
+    }
+    try {
+      const { search, errors } = validateSavedSearch(req.body);
+      if (!search) return res.status(400).json({ errors });
+      const record = await addSavedSearch(savedSearches, searchAlerts, search, { source: 'api' });
+      if (!record) {
+        return res.status(502).json({ error: "The confirmation link couldn't be sent to that contact" });
+      }
+      res.status(201).json({
+        id: record.id,
+        criteria: record.criteria,
+        description: describeCriteria(record.criteria),
+        active: record.active,
+        unsubscribeUrl: searchAlerts.unsubscribeUrl(record),
+      });
+    } catch (error) {
+      console.error('Error saving search:', error);
+      res.status(500).json({ error: 'Error saving search' });
+    }
+  });
+
+  // Confirmation link sent when the search was saved
+  router.get('/saved-searches/:id/confirm', (req, res) => {
+    const search = savedSearches.confirm(req.params.id, req.query.token);
+    if (!search) {
+      return res.status(404).type('html').send(page('This confirmation link is not valid.'));
+    }
+    if (!search.active) {
+      return res.type('html').send(page('These alerts were stopped, so they stay off.'));
+    }
+    res.type('html').send(page("You're subscribed. We'll let you know when matching listings come up."));
+  });
+
+  // Unsubscribe link from an alert
+  router.get('/saved-searches/:id/unsubscribe', (req, res) => {
+    const search = savedSearches.unsubscribe(req.params.id, req.query.token);
+    if (!search) {
+      return res.status(404).type('html').send(page('This unsubscribe link is not valid.'));
+    }
+    res.type('html').send(page("You won't get any more alerts for this search."));
+  });
+
+  // One-click unsubscribe from mail clients (List-Unsubscribe-Post)
+  router.post('/saved-searches/:id/unsubscribe', (req, res) => {
+    const search = savedSearches.unsubscribe(req.params.id, req.query.token);
+    res.status(search ? 204 : 404).end();
+  });
+
+  return router;
+}
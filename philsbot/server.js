@@ -2,13 +2,25 @@ import express from 'express';
 import cors from 'cors';
 import http from 'http';
 import { Server } from 'socket.io';
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
 import cron from 'node-cron';
-import { setupSocketHandlers } from './services/chatService.js'; // Updated import
+import config from './config.js';
+import { initChatService, setupSocketHandlers } from './services/chatService.js';
+import { createSessionStore } from './services/sessionStore.js';
+import { createProvider } from './services/providers/index.js';
 import { ScraperService } from './services/scraperService.js';
-
-dotenv.config();
+import { ScrapeJobRunner } from './services/scrapeJobRunner.js';
+import { createChatRouter } from './routes/chatRoutes.js';
+import { registerTool } from './services/tools.js';
+import { createSearchListingsTool } from './services/listingSearch.js';
+import { LeadStore, createLeadTool } from './services/leadStore.js';
+import { FeedbackStore } from './services/feedbackStore.js';
+import { createAdminRouter } from './routes/adminRoutes.js';
+import { createExportRouter } from './routes/exportRoutes.js';
+import { createSavedSearchRouter } from './routes/savedSearchRoutes.js';
+import { SavedSearchStore, createSaveSearchTool } from './services/savedSearches.js';
+import { SearchAlerts } from './services/searchAlerts.js';
+import { createNotifier } from './services/notifiers/index.js';
+import { createMortgageCalculatorTool } from './services/mortgageCalculator.js';
 
 const app = express();
 const server = http.createServer(app);
@@ -22,7 +34,7 @@ const corsOptions = {
     'http://localhost:5173'
   ],
   methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true,
 };
 
@@ -31,34 +43,94 @@ const io = new Server(server, { cors: corsOptions });
 
 // Apply CORS to Express
 app.use(cors(corsOptions));
+app.use(express.json());
+// Use X-Forwarded-For for req.ip when behind a proxy, for per-IP rate limits
+app.set('trust proxy', config.limits.trustProxy);
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Initialize the LLM provider (OpenAI, or the offline mock via LLM_PROVIDER=mock)
+const provider = createProvider(config.llm);
+console.log(`Using ${provider.name} LLM provider`);
 
 // Initialize services
-const scraperService = new ScraperService(openai);
+const scraperService = new ScraperService(provider);
+const scrapeJobs = new ScrapeJobRunner({
+  scraperService,
+  historyFile: config.scraper.historyFile,
+  maxHistory: config.scraper.maxHistory,
+});
+const leadStore = new LeadStore({ fileName: config.leads.file });
+const feedbackStore = new FeedbackStore({ fileName: config.feedback.file });
+const savedSearches = new SavedSearchStore({ fileName: config.alerts.file });
+const searchAlerts = new SearchAlerts({
+  store: savedSearches,
+  notifier: createNotifier(config.alerts),
+  publicUrl: config.publicUrl,
+  maxListings: config.alerts.maxListings,
+});
+registerTool(createSearchListingsTool(scraperService));
+registerTool(createLeadTool(leadStore));
+registerTool(createSaveSearchTool(savedSearches, searchAlerts));
+registerTool(
+  createMortgageCalculatorTool(scraperService, {
+    interestRate: config.mortgage.defaultRate,
+    amortizationYears: config.mortgage.amortizationYears,
+    termYears: config.mortgage.termYears,
+  })
+);
+const sessionStore = await createSessionStore(config.sessions);
+initChatService({ provider, io, sessionStore, leadStore, feedbackStore, scraperService });
 
 // Setup Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('New client connected');
-  setupSocketHandlers(socket, openai, io); // Updated call
+  setupSocketHandlers(socket);
+});
+
+// Alert saved searches about new and re-priced listings after each scrape
+scraperService.on('changes', (changes, listings) => {
+  searchAlerts.evaluate(changes, listings).catch((error) => {
+    console.error('Error evaluating saved searches:', error);
+  });
 });
 
-// Schedule daily scraping at 2 AM
+// Schedule daily scraping at 2 AM; skipped while an earlier run is still going
 cron.schedule('0 2 * * *', async () => {
   console.log('Running scheduled scraping task');
-  await scraperService.scrapeAndUpdate();
+  await scrapeJobs.run('schedule');
 });
 
+// Listing photos and thumbnails; file names are content hashes, so they never change
+app.use('/media', express.static(config.media.dir, { index: false, immutable: true, maxAge: '30d' }));
+
+// HTTP chat API (Server-Sent Events) for clients without socket.io
+app.use('/api', createChatRouter());
+
+// Saved searches and their unsubscribe links
+app.use('/api', createSavedSearchRouter({ savedSearches, searchAlerts }));
+
+// Listing exports: CSV, GeoJSON and Atom/RSS feeds of new and changed listings
+app.use('/exports', createExportRouter({ scraperService }));
+
+// Admin API (requires ADMIN_TOKEN)
+app.use(
+  '/admin',
+  createAdminRouter({
+    leadStore,
+    feedbackStore,
+    scraperService,
+    scrapeJobs,
+    savedSearches,
+    searchAlerts,
+  })
+);
+
 // Basic health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
 // Start the server
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
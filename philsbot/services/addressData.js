@@ -0,0 +1,268 @@
+// Reference data for normalizing Metro Vancouver and Fraser Valley addresses
+
+// Municipalities, and the board areas and communities listings use in place of
+// them (e.g. "Vancouver West", "Ladner"), keyed by lowercase name
+export const PLACES = {
+  // Metro Vancouver
+  vancouver: { city: "Vancouver" },
+  "vancouver west": { city: "Vancouver", area: "Vancouver West" },
+  "vancouver east": { city: "Vancouver", area: "Vancouver East" },
+  "university endowment lands": { city: "Vancouver", area: "University Endowment Lands" },
+  ubc: { city: "Vancouver", area: "University Endowment Lands" },
+  burnaby: { city: "Burnaby" },
+  "burnaby north": { city: "Burnaby", area: "Burnaby North" },
+  "burnaby south": { city: "Burnaby", area: "Burnaby South" },
+  "burnaby east": { city: "Burnaby", area: "Burnaby East" },
+  richmond: { city: "Richmond" },
+  "new westminster": { city: "New Westminster" },
+  "new west": { city: "New Westminster" },
+  "north vancouver": { city: "North Vancouver" },
+  "north van": { city: "North Vancouver" },
+  "west vancouver": { city: "West Vancouver" },
+  "west van": { city: "West Vancouver" },
+  coquitlam: { city: "Coquitlam" },
+  "port coquitlam": { city: "Port Coquitlam" },
+  "port moody": { city: "Port Moody" },
+  anmore: { city: "Anmore" },
+  belcarra: { city: "Belcarra" },
+  "bowen island": { city: "Bowen Island" },
+  "lions bay": { city: "Lions Bay" },
+  delta: { city: "Delta" },
+  "north delta": { city: "Delta", area: "North Delta" },
+  ladner: { city: "Delta", area: "Ladner" },
+  tsawwassen: { city: "Delta", area: "Tsawwassen" },
+  surrey: { city: "Surrey" },
+  "north surrey": { city: "Surrey", area: "North Surrey" },
+  "south surrey": { city: "Surrey", area: "South Surrey" },
+  "south surrey white rock": { city: "Surrey", area: "South Surrey White Rock" },
+  cloverdale: { city: "Surrey", area: "Cloverdale" },
+  "white rock": { city: "White Rock" },
+  langley: { city: "Langley" },
+  "langley city": { city: "Langley", area: "Langley City" },
+  "langley township": { city: "Langley", area: "Langley Township" },
+  "fort langley": { city: "Langley", area: "Fort Langley" },
+  aldergrove: { city: "Langley", area: "Aldergrove" },
+  "maple ridge": { city: "Maple Ridge" },
+  "pitt meadows": { city: "Pitt Meadows" },
+  // Fraser Valley
+  abbotsford: { city: "Abbotsford" },
+  mission: { city: "Mission" },
+  chilliwack: { city: "Chilliwack" },
+  sardis: { city: "Chilliwack", area: "Sardis" },
+  yarrow: { city: "Chilliwack", area: "Yarrow" },
+  "cultus lake": { city: "Cultus Lake" },
+  hope: { city: "Hope" },
+  kent: { city: "Kent" },
+  agassiz: { city: "Kent", area: "Agassiz" },
+  "harrison hot springs": { city: "Harrison Hot Springs" },
+  "harrison mills": { city: "Harrison Mills" },
+};
+
+// Municipality by postal code FSA (first three characters), for addresses that don't name one
+export const FSA_CITIES = {
+  Vancouver: [
+    "V5K", "V5L", "V5M", "V5N", "V5P", "V5R", "V5S", "V5T", "V5V", "V5W", "V5X", "V5Y", "V5Z",
+    "V6A", "V6B", "V6C", "V6E", "V6G", "V6H", "V6J", "V6K", "V6L", "V6M", "V6N", "V6P",
+    "V6R", "V6S", "V6T", "V6Z",
+  ],
+  Burnaby: ["V5A", "V5B", "V5C", "V5E", "V5G", "V5H", "V5J"],
+  Richmond: ["V6V", "V6W", "V6X", "V6Y", "V7A", "V7B", "V7C", "V7E"],
+  "North Vancouver": ["V7G", "V7H", "V7J", "V7K", "V7L", "V7M", "V7N", "V7P", "V7R"],
+  "West Vancouver": ["V7S", "V7T", "V7V", "V7W"],
+  "New Westminster": ["V3L", "V3M"],
+  Coquitlam: ["V3E", "V3J", "V3K"],
+  "Port Coquitlam": ["V3B", "V3C"],
+  "Port Moody": ["V3H"],
+  Surrey: ["V3R", "V3S", "V3T", "V3V", "V3W", "V3X", "V3Z", "V4A", "V4N", "V4P"],
+  "White Rock": ["V4B"],
+  Delta: ["V4C", "V4E", "V4G", "V4K", "V4L", "V4M"],
+  Langley: ["V1M", "V2Y", "V2Z", "V3A", "V4W"],
+  "Maple Ridge": ["V2W", "V2X", "V4R"],
+  "Pitt Meadows": ["V3Y"],
+  Abbotsford: ["V2S", "V2T", "V3G", "V4X"],
+  Mission: ["V2V", "V4S"],
+  Chilliwack: ["V2P", "V2R", "V4Z"],
+};
+
+// Neighbourhoods per municipality, as listings name them
+export const NEIGHBOURHOODS = {
+  Vancouver: [
+    "Arbutus", "Cambie", "Champlain Heights", "Coal Harbour", "Collingwood", "Downtown",
+    "Dunbar", "Fairview", "False Creek", "Fraser", "Grandview Woodland", "Hastings",
+    "Hastings Sunrise", "Kerrisdale", "Killarney", "Kitsilano", "Knight", "MacKenzie Heights",
+    "Main", "Marpole", "Mount Pleasant", "Oakridge", "Point Grey", "Quilchena", "Renfrew",
+    "Renfrew Heights", "Riley Park", "S.W. Marine", "Shaughnessy", "South Cambie",
+    "South Granville", "South Marine", "South Vancouver", "Strathcona", "Southlands",
+    "University", "Victoria", "West End", "Yaletown",
+  ],
+  Burnaby: [
+    "Big Bend", "Brentwood Park", "Buckingham Heights", "Burnaby Hospital", "Burnaby Lake",
+    "Capitol Hill", "Cariboo", "Central Park", "Deer Lake", "Deer Lake Place", "East Burnaby",
+    "Edmonds", "Forest Glen", "Forest Hills", "Garden Village", "Government Road",
+    "Greentree Village", "Highgate", "Lake City Industrial", "Metrotown", "Montecito",
+    "Oakdale", "Parkcrest", "Simon Fraser Hills", "Simon Fraser Univer.", "South Slope",
+    "Sperling-Duthie", "Sullivan Heights", "Suncrest", "The Crest", "Upper Deer Lake",
+    "Vancouver Heights", "Westridge", "Willingdon Heights",
+  ],
+  Richmond: [
+    "Boyd Park", "Bridgeport", "Brighouse", "Brighouse South", "Broadmoor", "East Cambie",
+    "East Richmond", "Garden City", "Gilmore", "Granville", "Hamilton", "Ironwood",
+    "Lackner", "McLennan", "McLennan North", "McNair", "Quilchena", "Riverdale", "Saunders",
+    "Sea Island", "Seafair", "South Arm", "Steveston North", "Steveston South",
+    "Steveston Village", "Terra Nova", "West Cambie", "Westwind", "Woodwards",
+  ],
+  "North Vancouver": [
+    "Blueridge", "Boulevard", "Braemar", "Calverhall", "Canyon Heights", "Capilano",
+    "Central Lonsdale", "Deep Cove", "Delbrook", "Dollarton", "Edgemont", "Forest Hills",
+    "Grouse Woods", "Harbourside", "Indian Arm", "Indian River", "Lower Lonsdale",
+    "Lynn Valley", "Lynnmour", "Mosquito Creek", "Norgate", "Northlands", "Pemberton",
+    "Pemberton Heights", "Queensbury", "Roche Point", "Seymour", "Upper Delbrook",
+    "Upper Lonsdale", "Westlynn", "Westlynn Terrace", "Windsor Park",
+  ],
+  "West Vancouver": [
+    "Altamont", "Ambleside", "Bayridge", "British Properties", "Caulfeild", "Cedardale",
+    "Chartwell", "Chelsea Park", "Cypress", "Cypress Park Estates", "Dundarave",
+    "Eagle Harbour", "Eagleridge", "Furry Creek", "Gleneagles", "Glenmore", "Horseshoe Bay",
+    "Howe Sound", "Olde Caulfeild", "Panorama Village", "Park Royal", "Queens",
+    "Rockridge", "Sentinel Hill", "Upper Caulfeild", "West Bay", "Westhill", "Westmount",
+    "Whitby Estates", "Whytecliff",
+  ],
+  "New Westminster": [
+    "Brunette", "Connaught Heights", "Downtown", "Fraserview", "GlenBrooke North",
+    "Moody Park", "North Arm", "Queens Park", "Queensborough", "Sapperton", "The Heights",
+    "Uptown", "West End",
+  ],
+  Coquitlam: [
+    "Burke Mountain", "Canyon Springs", "Cape Horn", "Central Coquitlam", "Chineside",
+    "Coquitlam East", "Coquitlam West", "Eagle Ridge", "Harbour Chines", "Harbour Place",
+    "Hockaday", "Maillardville", "Meadow Brook", "New Horizons", "North Coquitlam",
+    "Park Ridge Estates", "Ranch Park", "River Springs", "Scott Creek", "Summitt View",
+    "Upper Eagle Ridge", "Westwood Plateau", "Westwood Summit",
+  ],
+  "Port Coquitlam": [
+    "Birchland Manor", "Central Pt Coquitlam", "Citadel", "Glenwood", "Lincoln Park",
+    "Lower Mary Hill", "Mary Hill", "Oxford Heights", "Riverwood", "Woodland Acres",
+  ],
+  "Port Moody": [
+    "Anmore", "Barber Street", "Belcarra", "College Park", "Glenayre", "Heritage Mountain",
+    "Heritage Woods", "Ioco", "Mountain Meadows", "North Shore Pt Moody", "Port Moody Centre",
+  ],
+  Surrey: [
+    "Bear Creek Green Timbers", "Bolivar Heights", "Bridgeview", "Cedar Hills", "Clayton",
+    "Cloverdale", "Crescent Bch Ocean Pk.", "East Newton", "Elgin Chantrell", "Fleetwood Tynehead",
+    "Fraser Heights", "Grandview Surrey", "Guildford", "Hazelmere", "King George Corridor",
+    "Morgan Creek", "Panorama Ridge", "Pacific Douglas", "Queen Mary Park Surrey",
+    "Serpentine", "Sullivan Station", "Sunnyside Park Surrey", "Whalley", "West Newton",
+  ],
+  Delta: [
+    "Annieville", "Beach Grove", "Boundary Beach", "Cliff Drive", "East Ladner", "English Bluff",
+    "Hawthorne", "Holly", "Neilsen Grove", "Nordel", "Pebble Hill", "Scottsdale", "Sunshine Hills Woods",
+    "Tsawwassen Central", "Tsawwassen East", "Tsawwassen North", "Westham Island",
+  ],
+  Langley: [
+    "Aldergrove Langley", "Brookswood Langley", "Campbell Valley", "County Line Glen Valley",
+    "Fort Langley", "Langley City", "Murrayville", "Otter District", "Salmon River",
+    "Walnut Grove", "Willoughby Heights",
+  ],
+  "Maple Ridge": [
+    "Albion", "Cottonwood MR", "East Central", "North Maple Ridge", "Northeast", "Northwest Maple Ridge",
+    "Silver Valley", "Southwest Maple Ridge", "Thornhill MR", "Websters Corners", "West Central",
+    "Whonnock",
+  ],
+  "Pitt Meadows": ["Central Meadows", "Mid Meadows", "North Meadows PI", "South Meadows"],
+  Abbotsford: ["Abbotsford East", "Abbotsford West", "Aberdeen", "Bradner", "Central Abbotsford", "Matsqui", "Poplar", "Sumas Mountain", "Sumas Prairie"],
+  Mission: ["Dewdney Deroche", "Durieu", "Hatzic", "Hemlock", "Mission BC", "Stave Falls", "Steelhead"],
+  Chilliwack: [
+    "Chilliwack Downtown", "Chilliwack Proper East", "Chilliwack Proper South", "Chilliwack Proper West",
+    "Chilliwack Yale Rd West", "Eastern Hillsides", "Fairfield Island", "Greendale", "Promontory",
+    "Rosedale", "Ryder Lake", "Sardis East Vedder", "Sardis South", "Vedder Crossing", "Yarrow",
+  ],
+};
+
+// Typical neighbourhood of a postal code FSA, for addresses that don't name one
+export const FSA_NEIGHBOURHOODS = {
+  V6A: "Strathcona",
+  V6B: "Downtown",
+  V6C: "Coal Harbour",
+  V6E: "West End",
+  V6G: "West End",
+  V6H: "Fairview",
+  V6J: "Kitsilano",
+  V6K: "Kitsilano",
+  V6L: "Dunbar",
+  V6M: "Kerrisdale",
+  V6N: "Dunbar",
+  V6P: "Marpole",
+  V6R: "Point Grey",
+  V6S: "Dunbar",
+  V6T: "University",
+  V6Z: "Yaletown",
+  V5T: "Mount Pleasant",
+  V5Y: "Mount Pleasant",
+  V5Z: "Cambie",
+  V5L: "Grandview Woodland",
+  V5K: "Hastings",
+  V5R: "Collingwood",
+  V5S: "Killarney",
+  V5H: "Metrotown",
+  V5C: "Brentwood Park",
+  V5G: "Central Park",
+  V5E: "Edmonds",
+  V5J: "Big Bend",
+  V5A: "Simon Fraser Univer.",
+  V7M: "Lower Lonsdale",
+  V7L: "Central Lonsdale",
+  V7N: "Upper Lonsdale",
+  V7T: "Ambleside",
+  V7V: "Dundarave",
+  V3H: "Port Moody Centre",
+  V4M: "Tsawwassen Central",
+  V4K: "Ladner",
+};
+
+// Street types and their abbreviations, mapped to the Canada Post abbreviation
+export const STREET_TYPES = {
+  ST: "St", STREET: "St",
+  AVE: "Ave", AV: "Ave", AVENUE: "Ave",
+  RD: "Rd", ROAD: "Rd",
+  DR: "Dr", DRIVE: "Dr",
+  BLVD: "Blvd", BOULEVARD: "Blvd",
+  CRES: "Cres", CRESCENT: "Cres",
+  CRT: "Crt", CT: "Crt", COURT: "Crt",
+  PL: "Pl", PLACE: "Pl",
+  WAY: "Way",
+  LANE: "Lane", LN: "Lane",
+  HWY: "Hwy", HIGHWAY: "Hwy",
+  TERR: "Terr", TERRACE: "Terr",
+  CIR: "Cir", CIRCLE: "Cir",
+  GATE: "Gate",
+  GDNS: "Gdns", GARDENS: "Gdns",
+  GRV: "Grove", GROVE: "Grove",
+  PKY: "Pky", PKWY: "Pky", PARKWAY: "Pky",
+  SQ: "Sq", SQUARE: "Sq",
+  TRAIL: "Trail", TRL: "Trail",
+  CLOSE: "Close",
+  ROW: "Row",
+  MEWS: "Mews",
+  WALK: "Walk",
+  ESPL: "Espl", ESPLANADE: "Espl",
+  QUAY: "Quay",
+  HILL: "Hill",
+  RIDGE: "Ridge",
+  PARK: "Park",
+  GREEN: "Green",
+  LINE: "Line",
+  LOOP: "Loop",
+};
+
+// Compass directions, mapped to the Canada Post abbreviation
+export const DIRECTIONS = {
+  N: "N", NORTH: "N",
+  S: "S", SOUTH: "S",
+  E: "E", EAST: "E",
+  W: "W", WEST: "W",
+  NE: "NE", NORTHEAST: "NE",
+  NW: "NW", NORTHWEST: "NW",
+  SE: "SE", SOUTHEAST: "SE",
+  SW: "SW", SOUTHWEST: "SW",
+};
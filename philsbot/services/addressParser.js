@@ -0,0 +1,254 @@
+import {
+  PLACES,
+  FSA_CITIES,
+  NEIGHBOURHOODS,
+  FSA_NEIGHBOURHOODS,
+  STREET_TYPES,
+  DIRECTIONS,
+} from "./addressData.js";
+
+// Canadian postal code; D, F, I, O, Q and U are never used and W, Z never start one
+const POSTAL_CODE_PATTERN =
+  /\b([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s*-?\s*(\d[ABCEGHJ-NPRSTV-Z]\d)\b/i;
+
+// Province and country, dropped from the address text
+const PROVINCE_PATTERN = /\b(?:B\.?\s?C\.?|British Columbia|Canada)(?=$|[\s,])/gi;
+
+// Unit designators written before or after the street address
+const UNIT_WORDS = "#|UNIT|SUITE|STE|APT|APARTMENT|PH|TH|SL";
+
+// Municipality lookup by FSA
+const FSA_CITY = Object.fromEntries(
+  Object.entries(FSA_CITIES).flatMap(([city, fsas]) => fsas.map((fsa) => [fsa, city]))
+);
+
+// Place names, longest first so "North Vancouver" wins over "Vancouver"
+const PLACE_NAMES = Object.keys(PLACES).sort((a, b) => b.length - a.length);
+
+// Escapes text for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Title-cases an uppercase address part: "HOWE" -> "Howe", "14TH" -> "14th",
+ * "MCDONALD" -> "McDonald", "O'BRIEN" -> "O'Brien".
+ * @param {string} text
+ * @returns {string}
+ */
+const titleCase = (text) =>
+  text
+    .toLowerCase()
+    .replace(/(^|[\s'\-.])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase())
+    .replace(/\bMc(\p{L})/gu, (match, letter) => `Mc${letter.toUpperCase()}`);
+
+/**
+ * Formats a postal code as "V6Z 2N1".
+ * @param {string} text Text containing a postal code.
+ * @returns {string|null} null when there is no valid postal code.
+ */
+export const formatPostalCode = (text) => {
+  const match = String(text || "").match(POSTAL_CODE_PATTERN);
+  return match ? `${match[1]} ${match[2]}`.toUpperCase() : null;
+};
+
+/**
+ * Finds the municipality in address text. The last place name wins, since the
+ * city follows the street; names followed by a street type ("Richmond St") are
+ * street names.
+ * @param {string} text
+ * @returns {{city: string, area: string|null, start: number, end: number}|null}
+ */
+const findPlace = (text) => {
+  const lower = text.toLowerCase();
+  const matches = [];
+  for (const name of PLACE_NAMES) {
+    const pattern = new RegExp(`(?:^|[\\s,])(${escapeRegExp(name)})(?=$|[\\s,])`, "g");
+    for (const match of lower.matchAll(pattern)) {
+      const start = match.index + match[0].length - name.length;
+      const end = start + name.length;
+      const nextWord = text.slice(end).trim().split(/[\s,]+/)[0]?.toUpperCase();
+      if (nextWord && STREET_TYPES[nextWord.replace(/\.$/, "")]) continue;
+      // Skip "vancouver" inside an already matched "north vancouver"
+      if (matches.some((other) => start >= other.start && end <= other.end)) continue;
+      matches.push({ city: PLACES[name].city, area: PLACES[name].area || null, start, end });
+    }
+  }
+  const [last] = matches.sort((a, b) => b.start - a.start);
+  if (!last) return null;
+  // "Delta Ladner": the municipality written before one of its areas belongs to the place
+  const city = matches.find(
+    (other) =>
+      other.city === last.city &&
+      other.end <= last.start &&
+      /^[\s,]*$/.test(text.slice(other.end, last.start))
+  );
+  return city ? { ...last, start: city.start } : last;
+};
+
+/**
+ * Matches a neighbourhood name against the lookup table of a municipality.
+ * @param {string} text Candidate neighbourhood text.
+ * @param {string|null} city
+ * @returns {string|null} The canonical name, or null when it isn't in the table.
+ */
+const lookupNeighbourhood = (text, city) => {
+  const candidate = text.toLowerCase().replace(/\s+/g, " ").trim();
+  // Board listings may end with an area code, e.g. "Mount Pleasant VE"
+  const withoutCode = candidate.replace(/ [a-z]{1,3}$/, "");
+  if (!candidate) return null;
+  const tables = city && NEIGHBOURHOODS[city]
+    ? [NEIGHBOURHOODS[city]]
+    : Object.values(NEIGHBOURHOODS);
+  for (const table of tables) {
+    const found =
+      table.find((name) => name.toLowerCase() === candidate) ||
+      table.find((name) => name.toLowerCase() === withoutCode);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Splits the street part of an address into unit, number, directions, name and type.
+ * @param {string} text e.g. "#1203 - 1500 HOWE ST", "PH2-1288 W GEORGIA STREET", "305 2345 MADISON AVE", "6188 NO. 3 ROAD".
+ * @returns {object}
+ */
+export const parseStreet = (text) => {
+  let rest = text.replace(/[,\s]+$/, "").replace(/\s+/g, " ").trim();
+  let unit = null;
+
+  // "#1203 - 1500 HOWE ST", "Unit 5, 123 Main St", "PH2-1288 ..."
+  const leadingUnit = rest.match(
+    new RegExp(`^(?:${UNIT_WORDS})\\s*#?\\s*([A-Z]?\\d+[A-Z]?|[A-Z])\\s*(?:[-–,]\\s*|\\s+)(?=\\d)(.*)$`, "i")
+  );
+  // "1203 - 1500 HOWE ST", "1203-1500 HOWE ST"
+  const dashedUnit = rest.match(/^([A-Z]{0,2}\d+[A-Z]?)\s*[-–]\s*(\d+[A-Z]?\s.*)$/i);
+  // "305 2345 MADISON AVE", as MLS boards write it, but not "7088 191 ST", a numbered street
+  const spacedUnit = rest.match(/^([A-Z]{0,2}\d+[A-Z]?) (\d+[A-Z]? (.*))$/i);
+  const isSpacedUnit =
+    spacedUnit &&
+    spacedUnit[3]
+      .split(" ")
+      .some((token) => {
+        const key = token.toUpperCase().replace(/\.$/, "");
+        return !STREET_TYPES[key] && !DIRECTIONS[key];
+      });
+  // "1500 HOWE ST #1203", "123 Main St, Unit 5"
+  const trailingUnit = rest.match(
+    new RegExp(`^(.*?)[,\\s]+(?:#|UNIT|SUITE|STE|APT|APARTMENT)\\s*#?\\s*([A-Z]?\\d+[A-Z]?)$`, "i")
+  );
+  if (leadingUnit) {
+    const designator = leadingUnit[0].match(/^(PH|TH|SL)/i)?.[1].toUpperCase() || "";
+    unit = (designator + leadingUnit[1]).toUpperCase();
+    rest = leadingUnit[2];
+  } else if (dashedUnit) {
+    unit = dashedUnit[1].toUpperCase();
+    rest = dashedUnit[2];
+  } else if (isSpacedUnit) {
+    unit = spacedUnit[1].toUpperCase();
+    rest = spacedUnit[2];
+  } else if (trailingUnit) {
+    unit = trailingUnit[2].toUpperCase();
+    rest = trailingUnit[1];
+  }
+
+  const numberMatch = rest.match(/^(\d+[A-Z]?(?:\s1\/2)?)\s+(.*)$/i);
+  const streetNumber = numberMatch ? numberMatch[1].toUpperCase() : null;
+  if (numberMatch) rest = numberMatch[2];
+
+  const tokens = rest.split(" ").filter(Boolean);
+  const keyOf = (token) => (token || "").toUpperCase().replace(/\.$/, "");
+
+  let suffixDirection = null;
+  // "3RD ST E": a direction after the street type
+  if (tokens.length >= 3 && DIRECTIONS[keyOf(tokens.at(-1))] && STREET_TYPES[keyOf(tokens.at(-2))]) {
+    suffixDirection = DIRECTIONS[keyOf(tokens.pop())];
+  }
+
+  let streetType = null;
+  if (tokens.length >= 2 && STREET_TYPES[keyOf(tokens.at(-1))]) {
+    streetType = STREET_TYPES[keyOf(tokens.pop())];
+  }
+
+  let prefixDirection = null;
+  // "W GEORGIA ST", but not "EAST BLVD" or "NORTH RD", where the direction is the name
+  if (tokens.length >= 2 && DIRECTIONS[keyOf(tokens[0])]) {
+    prefixDirection = DIRECTIONS[keyOf(tokens.shift())];
+  }
+
+  return {
+    unit,
+    streetNumber,
+    prefixDirection,
+    streetName: tokens.length ? titleCase(tokens.join(" ")) : null,
+    streetType,
+    suffixDirection,
+  };
+};
+
+/**
+ * Formats the street line of a location the way Canada Post writes it,
+ * e.g. "1203-1500 W Georgia St".
+ * @param {object} location A normalized location.
+ * @returns {string}
+ */
+export const formatStreet = (location = {}) => {
+  const number = [location.unit, location.streetNumber].filter(Boolean).join("-");
+  return [
+    number,
+    location.prefixDirection,
+    location.streetName,
+    location.streetType,
+    location.suffixDirection,
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+
+/**
+ * Normalizes a Metro Vancouver or Fraser Valley address, e.g.
+ * "#1203 - 1500 HOWE STREET Vancouver West Yaletown V6Z 2N1" or
+ * "6188 No. 3 Rd, Richmond, BC V6Y 2B3".
+ * @param {string} text The address as written on the listing.
+ * @returns {object} unit, streetNumber, prefixDirection, streetName, streetType,
+ *   suffixDirection, street, city, area, province, postalCode and neighborhood;
+ *   parts that aren't present are null.
+ */
+export const normalizeAddress = (text) => {
+  let rest = String(text || "").replace(/\s+/g, " ").trim();
+
+  const postalCode = formatPostalCode(rest);
+  rest = rest.replace(POSTAL_CODE_PATTERN, " ").replace(PROVINCE_PATTERN, " ");
+
+  const place = findPlace(rest);
+  let streetText = rest;
+  let remainder = "";
+  if (place) {
+    streetText = rest.slice(0, place.start);
+    remainder = rest.slice(place.end);
+  } else if (rest.includes(",")) {
+    // "123 Main St, Somewhere": the street is the first part
+    [streetText, ...remainder] = rest.split(",");
+    remainder = remainder.join(" ");
+  }
+
+  const fsa = postalCode?.slice(0, 3);
+  const city = place?.city || FSA_CITY[fsa] || null;
+
+  // Listings put the neighbourhood after the city; unknown names are kept as written
+  const neighbourhoodText = remainder.replace(/[,\s]+/g, " ").trim();
+  const neighborhood =
+    lookupNeighbourhood(neighbourhoodText, city) ||
+    (neighbourhoodText ? titleCase(neighbourhoodText) : null) ||
+    (city && FSA_NEIGHBOURHOODS[fsa] && FSA_CITY[fsa] === city ? FSA_NEIGHBOURHOODS[fsa] : null);
+
+  const street = parseStreet(streetText);
+  return {
+    ...street,
+    street: formatStreet(street) || null,
+    city,
+    area: place?.area || null,
+    province: city || postalCode?.startsWith("V") ? "BC" : null,
+    postalCode,
+    neighborhood,
+  };
+};
@@ -1,15 +1,43 @@
 import { v4 as uuidv4 } from "uuid";
+import config from "../config.js";
+import { RateLimiter } from "./rateLimiter.js";
+import { getToolDefinitions, runToolCalls } from "./tools.js";
+import { validateLead } from "./leadStore.js";
+import { validateFeedback } from "./feedbackStore.js";
+import { generateSuggestions } from "./suggestionService.js";
+import { findReferencedListings, toListingCard } from "./listingCards.js";
+import { summarizeListing } from "./listingSearch.js";
+import {
+  DEFAULT_LOCALE,
+  resolveLocale,
+  detectLocale,
+  localeInstructions,
+  cardLabels,
+  formatDate,
+} from "./locale.js";
 
-// Session timeout in milliseconds (30 minutes)
-const SESSION_TIMEOUT = 30 * 60 * 1000;
 // ID of the OpenAI assistant to use
 const ASSISTANT_ID = "asst_CggkpXPBSFzUM6e2BjZMuOc8";
 
-// Variables to hold OpenAI and Socket.IO instances
-let openai;
+// Variables to hold the LLM provider and Socket.IO instances
+let provider;
 let io;
-// Map to store active chat sessions, keyed by session ID
-const sessions = new Map();
+// Store holding active chat sessions, keyed by session ID
+let sessions;
+// Store for contact requests submitted from the chat widget
+let leads;
+// Store for visitors' ratings of assistant responses
+let feedbackStore;
+// Scraper holding the latest listings snapshot, for listing cards
+let listingSource;
+// Token-bucket limiters guarding session creation and prompts
+let limiters;
+// Tail of each session's prompt queue, so prompts run one at a time per thread
+const promptQueues = new Map();
+// Run currently streaming for each session: { threadId, stream, cancelled }
+const activeRuns = new Map();
+// ID of the socket currently attached to each session
+const sessionSockets = new Map();
 // Variable to store the retrieved OpenAI assistant object
 let assistant = null;
 
@@ -20,7 +48,7 @@ async function retrieveAssistant() {
   try {
     if (!assistant) {
       // If the assistant hasn't been retrieved yet, fetch it from OpenAI
-      assistant = await openai.beta.assistants.retrieve(ASSISTANT_ID);
+      assistant = await provider.retrieveAssistant(ASSISTANT_ID);
       console.log("Assistant retrieved");
     }
   } catch (error) {
@@ -28,34 +56,97 @@ async function retrieveAssistant() {
   }
 }
 
+/**
+ * Returns the tools for a run: the assistant's built-in tools (file search)
+ * plus every registered function tool. Undefined when no function tools are
+ * registered, so the run uses the assistant's own configuration.
+ * @returns {Array<object>|undefined}
+ */
+function getRunTools() {
+  const functionTools = getToolDefinitions();
+  if (!functionTools.length) return undefined;
+  const builtInTools = (assistant.tools || []).filter(
+    (tool) => tool.type !== "function"
+  );
+  return [...builtInTools, ...functionTools];
+}
+
 /**
  * Creates a new chat session and returns its ID.
- * @returns {string} The ID of the new session.
+ * @param {object} [options]
+ * @param {string} [options.locale] The visitor's locale, e.g. zh-TW; when unset or
+ *   unsupported it is detected from their messages instead.
+ * @returns {Promise<string>} The ID of the new session.
  */
-function createSession() {
+async function createSession({ locale } = {}) {
+  const explicitLocale = resolveLocale(locale);
   // Generate a unique session ID
   const sessionId = uuidv4();
   // Create a session object with initial values
   const session = {
     threadId: null, // OpenAI thread ID, initialized to null
+    createdAt: Date.now(), // Timestamp the session was created
     lastActive: Date.now(), // Timestamp of the last activity
-    timeoutId: null, // Timeout ID for session cleanup
+    messageCount: 0, // User and assistant messages exchanged so far
+    locale: explicitLocale, // Language the assistant answers in
+    localeSource: explicitLocale ? "explicit" : null, // explicit (init_session) or detected
   };
-  // Store the session in the sessions map
-  sessions.set(sessionId, session);
+  // Store the session in the session store
+  await sessions.set(sessionId, session);
   return sessionId;
 }
 
 /**
- * Cleans up a chat session, deleting the associated OpenAI thread and emitting a clear_chat event.
- * @param {string} sessionId The ID of the session to clean up.
+ * Applies a change to the stored copy of a session.
+ * @param {string} sessionId The ID of the session.
+ * @param {function(object): object} update Returns the fields to change, given the current session.
+ * @returns {Promise<object|null>} The updated session, or null if it no longer exists.
  */
-async function cleanupSession(sessionId) {
-  const session = sessions.get(sessionId);
+async function updateSession(sessionId, update) {
+  const current = await sessions.get(sessionId);
+  if (!current) return null;
+  const updated = { ...current, ...update(current) };
+  await sessions.set(sessionId, updated);
+  return updated;
+}
+
+/**
+ * Detects the language of a prompt and keeps it as the session's locale,
+ * unless the client chose one on init_session. Prompts too short to tell
+ * (e.g. "ok" or an MLS number) keep the current locale.
+ * @param {string} sessionId The ID of the session.
+ * @param {object} session The session object; updated in place.
+ * @param {string} prompt The user's prompt.
+ * @returns {Promise<string>} The locale to answer in.
+ */
+async function updateSessionLocale(sessionId, session, prompt) {
+  if (session.localeSource !== "explicit") {
+    const detected = detectLocale(prompt);
+    if (detected && detected !== session.locale) {
+      session.locale = detected;
+      session.localeSource = "detected";
+      await updateSession(sessionId, () => ({ locale: detected, localeSource: "detected" }));
+    }
+  }
+  return session.locale || DEFAULT_LOCALE;
+}
+
+// Counts messages added to a session's thread
+const countMessages = (sessionId) =>
+  updateSession(sessionId, (current) => ({
+    messageCount: (current.messageCount || 0) + 1,
+  }));
+
+/**
+ * Deletes the OpenAI thread of a session that is no longer in the store and emits a clear_chat event.
+ * @param {string} sessionId The ID of the removed session.
+ * @param {object} session The removed session object.
+ */
+async function releaseSession(sessionId, session) {
   if (session?.threadId) {
     try {
       // Delete the OpenAI thread associated with the session
-      await openai.beta.threads.del(session.threadId);
+      await provider.deleteThread(session.threadId);
       console.log(
         `Thread ${session.threadId} deleted for session ${sessionId}`
       );
@@ -65,221 +156,781 @@ async function cleanupSession(sessionId) {
       console.error(`Error deleting thread for session ${sessionId}:`, error);
     }
   }
-  // Remove the session from the sessions map
-  sessions.delete(sessionId);
 }
 
 /**
- * Generates smart reply suggestions.
- * @param {string} response The response of which to generate replys to.
- * @param {string} propmt The users prompt sent to create the AI response.
- * @returns {array} suggestionsArray. Array with the AI generated suggestions.
+ * Cleans up a chat session, deleting the associated OpenAI thread and emitting a clear_chat event.
+ * @param {string} sessionId The ID of the session to clean up.
+ * @returns {Promise<boolean>} Whether the session existed.
+ */
+async function cleanupSession(sessionId) {
+  const session = await sessions.get(sessionId);
+  // Remove the session from the session store
+  await sessions.delete(sessionId);
+  await releaseSession(sessionId, session);
+  return Boolean(session);
+}
+
+/**
+ * Removes expired sessions from the store and releases their threads.
  */
-async function generateSuggestions(prompt, response) {
-  console.log("generating suggestions");
+async function sweepExpiredSessions() {
   try {
-    const aiChatbotResponsePrompt = response;
-    const systemIntructionPrompt = `You are a helpful assistant designed to generate three short, relevant, and natural-sounding quick reply suggestions for a user interacting with an AI chatbot.
+    const expired = await sessions.expire();
+    for (const session of expired) {
+      await releaseSession(session.id, session);
+    }
+  } catch (error) {
+    console.error("Error sweeping expired sessions:", error);
+  }
+}
+
+/**
+ * Refreshes the last activity timestamp of a session, pushing back its expiry.
+ * @param {string} sessionId The ID of the session.
+ * @returns {Promise<object|null>} The refreshed session, or null if it no longer exists.
+ */
+async function refreshSession(sessionId) {
+  return sessions.touch(sessionId);
+}
 
-**Input:** The preceding AI chatbot response.
+/**
+ * Loads one page of a session's conversation, oldest message first, with
+ * message dates formatted in the session's locale.
+ * @param {string} sessionId The ID of the session.
+ * @param {object} session The session object.
+ * @param {object} [options]
+ * @param {string} [options.after] ID of the last message of the previous page.
+ * @param {number} [options.limit] Page size.
+ * @returns {Promise<{sessionId: string, locale: string, messages: Array<object>, hasMore: boolean, cursor: string|null}>}
+ */
+async function getSessionHistory(
+  sessionId,
+  session,
+  { after, limit = config.sessions.historyPageSize } = {}
+) {
+  let page = { messages: [], hasMore: false };
+  if (session.threadId) {
+    page = await provider.listMessages(session.threadId, {
+      order: "asc",
+      limit,
+      after,
+    });
+  }
+  const locale = session.locale || DEFAULT_LOCALE;
+  const messages = page.messages
+    .filter((message) => message.role === "user" || message.role === "assistant")
+    .map((message) => ({ ...message, createdAtFormatted: formatDate(message.createdAt, locale) }));
+  return {
+    sessionId,
+    locale,
+    messages,
+    hasMore: page.hasMore,
+    // Pass back as `after` to get the next page
+    cursor: page.messages.at(-1)?.id || null,
+  };
+}
 
-**Task:** Analyze the AI chatbot's response and generate three distinct, concise, and user-friendly quick reply suggestions. These suggestions should:
+/**
+ * Emits one page of a session's conversation as a session_history event.
+ * @param {Socket} socket The socket to emit to.
+ * @param {string} sessionId The ID of the session.
+ * @param {object} session The session object.
+ * @param {string} [after] ID of the last message of the previous page.
+ */
+async function emitSessionHistory(socket, sessionId, session, after) {
+  socket.emit(
+    "session_history",
+    await getSessionHistory(sessionId, session, { after })
+  );
+}
 
-* **Be short and easy to understand.** Aim for 2-10 words, or short phrases.
-* **Be relevant to the AI's response.** The suggestions should logically follow the conversation.
-* **Offer different directions for the conversation.** Avoid repetitive suggestions.
-* **Be phrased as potential user prompts.** They should sound like something a user would naturally say. Frame the quick replies as if the user is directly speaking to the chatbot.
-* **Be suitable for a casual, conversational tone.**
-* **Focus on furthering the conversation or asking for clarification.**
+/**
+ * Returns the latest messages of a thread, oldest first, as context for suggestions.
+ * Falls back to just the latest exchange if the thread can't be read.
+ * @param {string} threadId The thread to read.
+ * @param {string} prompt The prompt that was just answered.
+ * @param {string} response The answer.
+ * @returns {Promise<Array<{role: string, content: string}>>}
+ */
+async function getRecentMessages(threadId, prompt, response) {
+  try {
+    const { messages } = await provider.listMessages(threadId, {
+      order: "desc",
+      limit: config.suggestions.contextMessages,
+    });
+    if (messages.length) return messages.reverse();
+  } catch (error) {
+    console.error(`Error reading thread ${threadId} for suggestions:`, error);
+  }
+  return [
+    { role: "user", content: prompt },
+    { role: "assistant", content: response },
+  ];
+}
 
-**Output JSON Format:**
+/**
+ * Emits a listing_cards event for the listings a reply refers to, if any,
+ * with the cards' values and labels in the session's locale.
+ * @param {string} response The assistant's reply.
+ * @param {Array<object>} toolListings Listing summaries returned by tools during the run.
+ * @param {string} locale The session's locale.
+ * @param {function(string, object=): void} emit Delivers an event to the client.
+ * @returns {Array<object>} The listings the cards were made from.
+ */
+function emitListingCards(response, toolListings, locale, emit) {
+  if (!listingSource || !config.listingCards.max) return [];
+  try {
+    const listings = findReferencedListings(listingSource.getLatestListings(), {
+      text: response,
+      toolListings,
+      limit: config.listingCards.max,
+    });
+    if (listings.length) {
+      emit("listing_cards", {
+        cards: listings.map((listing) => toListingCard(listing, locale)),
+        locale,
+        labels: cardLabels(locale),
+      });
+    }
+    return listings;
+  } catch (error) {
+    console.error("Error building listing cards:", error);
+    return [];
+  }
+}
 
-{
-  "quick_replies": [
-    "Quick Reply 1",
-    "Quick Reply 2",
-    "Quick Reply 3"
-  ]
+/**
+ * Combines listing summaries, keeping the first of each listing.
+ * @param {...Array<object>} lists Listing summaries, most relevant first.
+ * @returns {Array<object>}
+ */
+function mergeListingSummaries(...lists) {
+  const seen = new Set();
+  return lists.flat().filter((listing) => {
+    const key = listing.mlsNumber || listing.listingId;
+    if (key && seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 }
 
-**Example:**
-
-**Input:** "The weather in London is currently cloudy with a chance of rain."
-
-**Output:**
-
-{
-  "quick_replies": [
-    "Tell me more",
-    "What is the temperature",
-    "Show me pictures."
-  ]
-}`;
-
-    const suggestionResponse = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      max_tokens: 150,
-      temperature: 0.1,
-      messages: [
-        {
-          role: "system",
-          content: systemIntructionPrompt,
-        },
-        {
-          role: "user",
-          content: aiChatbotResponsePrompt,
-        },
-      ],
-      
+/**
+ * Sends a user prompt to the assistant and streams the reply through `emit`.
+ * @param {string} sessionId The ID of the session.
+ * @param {string} prompt The user's prompt.
+ * @param {function(string, object=): void} emit Delivers an event to the client.
+ * @param {AbortSignal} [signal] Cancels this run when the client that sent the prompt goes away.
+ */
+async function runPrompt(sessionId, prompt, emit, signal) {
+  // Variable to store the full response from the assistant
+  let fullResponse = "";
+  // Thread message ID of the response, sent to the client so it can rate it
+  let responseMessageId = null;
+  // Listings returned by tools during this run, for cards and suggestions
+  const listingsMentioned = [];
+
+  try {
+    const session = sessionId ? await refreshSession(sessionId) : null;
+    if (!session) {
+      // If the session is invalid, emit an error
+      emit("error", { message: "Invalid session" });
+      return;
+    }
+
+    // Retrieve the OpenAI assistant
+    await retrieveAssistant();
+    const locale = await updateSessionLocale(sessionId, session, prompt);
+
+    if (!session.threadId) {
+      // If the session doesn't have a thread ID, create a new thread
+      const thread = await provider.createThread();
+      session.threadId = thread.id;
+      await sessions.set(sessionId, session);
+    }
+
+    // Create a new message in the OpenAI thread
+    await provider.addMessage(session.threadId, {
+      role: "user",
+      content: prompt,
+    });
+    await countMessages(sessionId);
+
+    // Stream the assistant's response, answering tool calls until the run is done
+    let failed = false;
+    const activeRun = { threadId: session.threadId, stream: null, cancelled: false };
+    let stream = provider.streamRun(session.threadId, {
+      assistantId: assistant.id,
+      tools: getRunTools(),
+      additionalInstructions: localeInstructions(locale),
     });
+    activeRuns.set(sessionId, activeRun);
+    // Stops this run only; a later prompt of the session may be active by the time a client goes away
+    const onAbort = () => stopRun(sessionId, activeRun);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+      while (stream) {
+        activeRun.stream = stream;
+        const pendingRun = await new Promise((resolve) => {
+          let requiresAction = null;
+          stream
+            .on("messageCreated", (message) => {
+              // A run that calls tools may write several messages; the last one identifies the response
+              responseMessageId = message.id;
+            })
+            .on("textCreated", (text) => {
+              // Emit textCreated events to the client
+              emit("textCreated", text);
+            })
+            .on("textDelta", (textDelta, snapshot) => {
+              // Append the text delta to the full response and emit textDelta events
+              fullResponse += textDelta.value;
+              emit("textDelta", { textDelta, snapshot });
+            })
+            .on("event", (event) => {
+              // The run pauses here until the tool outputs are submitted
+              if (event.event === "thread.run.requires_action") {
+                requiresAction = event.data;
+              }
+            })
+            .on("error", (streamError) => {
+              // The stream still emits end after an error
+              failed = true;
+              console.error("Error streaming response:", streamError);
+              emit("error", { message: "Error processing your request" });
+            })
+            .on("abort", () => {
+              // Cancelled through cancel_run; end follows
+            })
+            .on("end", () => resolve(requiresAction));
+        });
+
+        stream = null;
+        if (pendingRun && !failed && !activeRun.cancelled) {
+          const toolOutputs = await runToolCalls(
+            pendingRun.required_action.submit_tool_outputs.tool_calls,
+            { sessionId, session }
+          );
+          for (const { result } of toolOutputs) {
+            if (Array.isArray(result?.listings)) listingsMentioned.push(...result.listings);
+          }
+          if (!activeRun.cancelled) {
+            stream = provider.submitToolOutputs(
+              session.threadId,
+              pendingRun.id,
+              toolOutputs
+            );
+          }
+        }
+      }
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      activeRuns.delete(sessionId);
+    }
+    // Cancelled runs keep their partial answer in the thread too
+    if (fullResponse) await countMessages(sessionId);
+    if (activeRun.cancelled) {
+      emit("responseCancelled", { messageId: responseMessageId });
+      return;
+    }
+    if (failed) return;
 
-    const suggestionsString = suggestionResponse.choices[0].message.content;
-    const suggestionsJson = JSON.parse(suggestionsString);
-    const suggestionsArray = suggestionsJson.quick_replies;
-    return suggestionsArray;
+    // Emit responseComplete event to the client
+    emit("responseComplete", { messageId: responseMessageId });
+    const referencedListings = emitListingCards(fullResponse, listingsMentioned, locale, emit);
+    try {
+      const suggestions = await generateSuggestions(provider, {
+        messages: await getRecentMessages(session.threadId, prompt, fullResponse),
+        listings: mergeListingSummaries(referencedListings.map(summarizeListing), listingsMentioned),
+        locale,
+      });
+      console.log("suggestions:", suggestions);
+      emit("suggestions", { suggestions });
+    } catch (suggestionError) {
+      console.error("Error generating suggestions:", suggestionError);
+    }
+    // A long answer counts as activity, so push back the expiry
+    await refreshSession(sessionId);
   } catch (error) {
-    console.error("error generating suggestions:", error);
-    return [];
+    // Handle errors during prompt processing
+    console.error("Error processing prompt:", error);
+    emit("error", { message: "Error processing your request" });
   }
 }
+
 /**
- * Refreshes the last activity timestamp of a session and resets its timeout.
- * @param {object} session The session object.
+ * Describes a request rejected by a rate limiter.
+ * @param {string} scope Which limit was hit (session, ip, global, session_create, sessions).
+ * @param {number} retryAfterMs How long until the request would be allowed.
+ * @returns {{reason: string, scope: string, retryAfter: number}} retryAfter is in seconds.
+ */
+function rateLimited(scope, retryAfterMs) {
+  return {
+    reason: "rate_limited",
+    scope,
+    retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+  };
+}
+
+/**
+ * Checks whether a client may create another session.
+ * @param {string} ip The client's IP address.
+ * @returns {Promise<object|null>} null if allowed, otherwise the rejection.
+ */
+async function checkSessionLimits(ip) {
+  const result = limiters.sessionCreatePerIp.consume(ip);
+  if (!result.allowed) {
+    return rateLimited("session_create", result.retryAfterMs);
+  }
+  const { maxSessions } = config.limits;
+  if (maxSessions && (await sessions.count()) >= maxSessions) {
+    // Idle sessions expire on the sweep interval, so suggest retrying after one
+    return rateLimited("sessions", config.sessions.sweepIntervalMs);
+  }
+  return null;
+}
+
+/**
+ * Checks whether a prompt may be sent: length cap, then per-session, per-IP and global buckets.
  * @param {string} sessionId The ID of the session.
+ * @param {string} ip The client's IP address.
+ * @param {string} prompt The user's prompt.
+ * @returns {object|null} null if allowed, otherwise the rejection.
  */
-function refreshSession(session, sessionId) {
-  // Update the last activity timestamp
-  session.lastActive = Date.now();
-  // Clear any existing timeout
-  if (session.timeoutId) {
-    clearTimeout(session.timeoutId);
+function checkPromptLimits(sessionId, ip, prompt) {
+  const { maxPromptLength } = config.limits;
+  if (typeof prompt === "string" && prompt.length > maxPromptLength) {
+    return { reason: "prompt_too_long", maxLength: maxPromptLength };
   }
-  // Set a new timeout for session cleanup
-  session.timeoutId = setTimeout(
-    () => cleanupSession(sessionId),
-    SESSION_TIMEOUT
+  const checks = [
+    ["session", limiters.promptPerSession, sessionId],
+    ["ip", limiters.promptPerIp, ip],
+    ["global", limiters.promptGlobal, "global"],
+  ];
+  for (const [scope, limiter, key] of checks) {
+    const result = limiter.consume(key);
+    if (!result.allowed) return rateLimited(scope, result.retryAfterMs);
+  }
+  return null;
+}
+
+/**
+ * Emits a limit rejection to a socket: rate_limited with retry-after info, or an error.
+ * @param {Socket} socket The socket to emit to.
+ * @param {object} rejection As returned by checkSessionLimits or checkPromptLimits.
+ */
+function emitRejection(socket, rejection) {
+  if (rejection.reason === "rate_limited") {
+    socket.emit("rate_limited", {
+      scope: rejection.scope,
+      retryAfter: rejection.retryAfter,
+    });
+  } else {
+    socket.emit("error", {
+      message: "Your message is too long",
+      code: rejection.reason,
+      maxLength: rejection.maxLength,
+    });
+  }
+}
+
+/**
+ * Returns the client IP of a socket, honouring X-Forwarded-For behind a trusted proxy.
+ * @param {Socket} socket The Socket.IO socket object.
+ * @returns {string}
+ */
+function getSocketAddress(socket) {
+  const forwardedFor = socket.handshake.headers["x-forwarded-for"];
+  if (config.limits.trustProxy && forwardedFor) {
+    return forwardedFor.split(",")[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+/**
+ * Queues a user prompt behind any prompt already running for the session and
+ * streams the reply through `emit`. A thread only accepts one run at a time,
+ * so prompts for the same session are processed strictly in order.
+ * Shared by the send_prompt socket handler and the HTTP chat API, so both
+ * transports produce the same textCreated/textDelta/responseComplete/listing_cards/suggestions/error events.
+ * @param {string} sessionId The ID of the session.
+ * @param {string} prompt The user's prompt.
+ * @param {function(string, object=): void} emit Delivers an event to the client.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] Aborted when the client goes away: a queued prompt is
+ *   dropped without running, and a running one is cancelled.
+ * @returns {Promise<void>} Resolves once the reply and its suggestions have been emitted.
+ */
+function processPrompt(sessionId, prompt, emit, { signal } = {}) {
+  const previous = promptQueues.get(sessionId) || Promise.resolve();
+  const current = previous.then(() =>
+    signal?.aborted ? undefined : runPrompt(sessionId, prompt, emit, signal)
   );
+  promptQueues.set(sessionId, current);
+  return current.finally(() => {
+    if (promptQueues.get(sessionId) === current) promptQueues.delete(sessionId);
+  });
 }
 
 /**
- * Sets up Socket.IO event handlers for chat interactions.
+ * Cancels the run currently streaming for a session. The prompt in flight
+ * finishes with a responseCancelled event and the next queued prompt starts.
+ * @param {string} sessionId The ID of the session.
+ * @returns {Promise<boolean>} Whether there was a run to cancel.
+ */
+async function cancelRun(sessionId) {
+  return stopRun(sessionId, activeRuns.get(sessionId));
+}
+
+/**
+ * Cancels a run of a session.
+ * @param {string} sessionId The ID of the session.
+ * @param {object} activeRun The run, as kept in activeRuns.
+ * @returns {Promise<boolean>} Whether the run was still going.
+ */
+async function stopRun(sessionId, activeRun) {
+  if (!activeRun || activeRun.cancelled) return false;
+  activeRun.cancelled = true;
+  try {
+    await provider.cancelRun(activeRun.threadId, activeRun.stream);
+  } catch (error) {
+    // The run may have finished on its own in the meantime
+    console.error(`Error cancelling run for session ${sessionId}:`, error);
+  }
+  return true;
+}
+
+/**
+ * Lists live sessions for the admin API, most recently active first.
+ * @returns {Promise<Array<object>>}
+ */
+async function listSessions() {
+  const all = await sessions.list();
+  return all
+    .filter((session) => !sessions.isExpired(session))
+    .sort((a, b) => b.lastActive - a.lastActive)
+    .map((session) => ({
+      id: session.id,
+      threadId: session.threadId,
+      createdAt: session.createdAt ? new Date(session.createdAt).toISOString() : null,
+      lastActive: new Date(session.lastActive).toISOString(),
+      messageCount: session.messageCount || 0,
+      locale: session.locale || null,
+      localeSource: session.localeSource || null,
+      socketId: sessionSockets.get(session.id) || null,
+      connected: sessionSockets.has(session.id),
+      running: activeRuns.has(session.id),
+    }));
+}
+
+/**
+ * Reads a session's whole conversation, oldest message first, without refreshing it.
+ * @param {string} sessionId The ID of the session.
+ * @returns {Promise<Array<object>|null>} null if the session doesn't exist.
+ */
+async function getSessionTranscript(sessionId) {
+  const session = await sessions.get(sessionId);
+  if (!session) return null;
+  const transcript = [];
+  let after;
+  do {
+    const page = await getSessionHistory(sessionId, session, { after, limit: 100 });
+    transcript.push(...page.messages);
+    after = page.hasMore ? page.cursor : null;
+  } while (after);
+  return transcript;
+}
+
+/**
+ * Finds the exchange an assistant message belongs to in a thread: the prompt,
+ * and the response messages of its run up to and including the message. Only
+ * the messages back to the prompt are read, not the whole conversation.
+ * @param {string} threadId The thread of the conversation.
+ * @param {string} messageId ID of an assistant message.
+ * @returns {Promise<{prompt: object|null, response: object}|null>} null if the message isn't an assistant message in it.
+ */
+async function findExchange(threadId, messageId) {
+  let message;
+  try {
+    message = await provider.getMessage(threadId, messageId);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+  if (message.role !== "assistant") return null;
+
+  // Earlier messages, newest first, until the prompt that started the run
+  const response = [message];
+  let prompt = null;
+  let after = messageId;
+  while (!prompt && after) {
+    const page = await provider.listMessages(threadId, { order: "desc", limit: 20, after });
+    for (const earlier of page.messages) {
+      if (earlier.role !== "assistant") {
+        prompt = earlier;
+        break;
+      }
+      response.unshift(earlier);
+    }
+    after = page.hasMore ? page.messages.at(-1)?.id : null;
+  }
+  return {
+    prompt: prompt && { messageId: prompt.id, content: prompt.content },
+    response: {
+      messageId,
+      content: response.map((earlier) => earlier.content).join("\n\n"),
+    },
+  };
+}
+
+/**
+ * Records a visitor's rating of an assistant response, with the prompt and
+ * response read from the session's thread. Shared by the message_feedback
+ * socket handler and the HTTP chat API.
+ * @param {string} sessionId The ID of the session.
+ * @param {object} session The session object.
+ * @param {object} input messageId, rating (up or down) and an optional comment.
+ * @returns {Promise<{feedback: object|null, errors: Array<string>}>}
+ */
+async function submitFeedback(sessionId, session, input) {
+  const { feedback, errors } = validateFeedback(input);
+  if (!feedback) return { feedback: null, errors };
+  const exchange = session.threadId && (await findExchange(session.threadId, feedback.messageId));
+  if (!exchange) {
+    return { feedback: null, errors: ["messageId is not a response in this conversation"] };
+  }
+  const record = feedbackStore.record(feedback, {
+    conversation: { sessionId, threadId: session.threadId },
+    exchange,
+    locale: session.locale || DEFAULT_LOCALE,
+  });
+  return { feedback: record, errors: [] };
+}
+
+/**
+ * Describes the assistant currently answering chats, for the admin API.
+ * @returns {Promise<object>}
+ */
+async function getAssistantInfo() {
+  await retrieveAssistant();
+  return {
+    id: assistant?.id || ASSISTANT_ID,
+    name: assistant?.name || null,
+    model: assistant?.model || null,
+    provider: provider.name,
+    tools: getRunTools()?.map((tool) => tool.function?.name || tool.type) || [],
+    vectorStoreIds:
+      assistant?.tool_resources?.file_search?.vector_store_ids || [],
+  };
+}
+
+/**
+ * Records which socket is attached to a session.
  * @param {Socket} socket The Socket.IO socket object.
- * @param {OpenAI} openAiInstance The OpenAI client instance.
- * @param {Server} ioInstance The Socket.IO server instance.
+ * @param {string|null} previousSessionId Session the socket was attached to before.
+ * @param {string} sessionId Session the socket is attached to now.
+ */
+function attachSocket(socket, previousSessionId, sessionId) {
+  if (previousSessionId && sessionSockets.get(previousSessionId) === socket.id) {
+    sessionSockets.delete(previousSessionId);
+  }
+  sessionSockets.set(sessionId, socket.id);
+}
+
+/**
+ * Initializes the chat service. Must be called once before any socket is set up.
+ * @param {object} options
+ * @param {OpenAIProvider|MockProvider} options.provider The LLM provider.
+ * @param {Server} options.io The Socket.IO server instance.
+ * @param {SessionStore} options.sessionStore The store that persists chat sessions.
+ * @param {LeadStore} options.leadStore The store for submitted contact requests.
+ * @param {FeedbackStore} options.feedbackStore The store for ratings of responses.
+ * @param {ScraperService} [options.scraperService] Source of the latest listings, for listing cards.
  */
-function setupSocketHandlers(socket, openAiInstance, ioInstance) {
-  // Store OpenAI and Socket.IO instances
-  openai = openAiInstance;
+function initChatService({
+  provider: providerInstance,
+  io: ioInstance,
+  sessionStore,
+  leadStore,
+  feedbackStore: feedbackStoreInstance,
+  scraperService,
+}) {
+  // Store provider, Socket.IO and session store instances
+  provider = providerInstance;
   io = ioInstance;
+  sessions = sessionStore;
+  leads = leadStore;
+  feedbackStore = feedbackStoreInstance;
+  listingSource = scraperService;
+  limiters = {
+    sessionCreatePerIp: new RateLimiter(config.limits.sessionCreatePerIp),
+    promptPerSession: new RateLimiter(config.limits.promptPerSession),
+    promptPerIp: new RateLimiter(config.limits.promptPerIp),
+    promptGlobal: new RateLimiter(config.limits.promptGlobal),
+  };
+  // Let the store expire idle sessions instead of per-session timers
+  setInterval(sweepExpiredSessions, config.sessions.sweepIntervalMs).unref();
+}
+
+/**
+ * Sets up Socket.IO event handlers for chat interactions.
+ * @param {Socket} socket The Socket.IO socket object.
+ */
+function setupSocketHandlers(socket) {
   // Variable to store the current session ID for the socket
   let sessionId = null;
+  const ip = getSocketAddress(socket);
 
-  // Event handler for initializing a new session
-  socket.on("init_session", () => {
-    console.log("New session created");
-    // Create a new session and emit the session ID to the client
-    sessionId = createSession();
-    socket.emit("session_created", { sessionId });
+  // Event handler for initializing a new session, optionally in a given locale
+  socket.on("init_session", async (data) => {
+    try {
+      const rejection = await checkSessionLimits(ip);
+      if (rejection) {
+        emitRejection(socket, rejection);
+        return;
+      }
+      console.log("New session created");
+      // Create a new session and emit the session ID to the client
+      const newSessionId = await createSession({ locale: data?.locale });
+      attachSocket(socket, sessionId, newSessionId);
+      sessionId = newSessionId;
+      socket.emit("session_created", {
+        sessionId,
+        locale: resolveLocale(data?.locale) || DEFAULT_LOCALE,
+      });
+    } catch (error) {
+      console.error("Error creating session:", error);
+      socket.emit("error", { message: "Error starting a new conversation" });
+    }
   });
 
   // Event handler for resuming an existing session
-  socket.on("resume_session", (data) => {
-    if (data.sessionId && sessions.has(data.sessionId)) {
-      // If the session exists, resume it
+  socket.on("resume_session", async (data) => {
+    try {
+      const session = data?.sessionId ? await refreshSession(data.sessionId) : null;
+      if (!session) {
+        // Unknown or expired session; the client decides whether to init_session
+        socket.emit("session_expired", { sessionId: data?.sessionId || null });
+        return;
+      }
+      // If the session exists, resume it and replay the conversation so far
+      attachSocket(socket, sessionId, data.sessionId);
       sessionId = data.sessionId;
-      const session = sessions.get(sessionId);
-      refreshSession(session, sessionId);
-    } else {
-      // If the session doesn't exist, create a new one
-      sessionId = createSession();
-      socket.emit("session_created", { sessionId });
+      await emitSessionHistory(socket, sessionId, session);
+    } catch (error) {
+      console.error(`Error resuming session ${data?.sessionId}:`, error);
+      socket.emit("error", { message: "Error loading conversation history" });
+    }
+  });
+
+  // Event handler for paging through the history of the current session
+  socket.on("fetch_history", async (data) => {
+    try {
+      const session = sessionId ? await refreshSession(sessionId) : null;
+      if (!session) {
+        socket.emit("session_expired", { sessionId });
+        return;
+      }
+      await emitSessionHistory(socket, sessionId, session, data?.after);
+    } catch (error) {
+      console.error(`Error loading history for session ${sessionId}:`, error);
+      socket.emit("error", { message: "Error loading conversation history" });
     }
   });
 
   // Event handler for sending a prompt to the OpenAI assistant
   socket.on("send_prompt", async (data) => {
-    if (!sessionId || !sessions.has(sessionId)) {
-      // If the session is invalid, emit an error
-      socket.emit("error", { message: "Invalid session" });
+    const rejection = checkPromptLimits(sessionId, ip, data?.prompt);
+    if (rejection) {
+      emitRejection(socket, rejection);
       return;
     }
+    await processPrompt(sessionId, data?.prompt, (event, payload) =>
+      socket.emit(event, payload)
+    );
+  });
 
-    const session = sessions.get(sessionId);
-    refreshSession(session, sessionId);
-
-    // Variable to store the full response from the assistant
-    let fullResponse = "";
+  // Event handler for stopping the answer that is currently streaming
+  socket.on("cancel_run", async () => {
+    if (sessionId && !(await cancelRun(sessionId))) {
+      console.log(`No active run to cancel for session ${sessionId}`);
+    }
+  });
 
+  // Event handler for the widget's contact form
+  socket.on("submit_contact", async (data) => {
     try {
-      // Retrieve the OpenAI assistant
-      await retrieveAssistant();
-
-      if (!session.threadId) {
-        // If the session doesn't have a thread ID, create a new thread
-        const thread = await openai.beta.threads.create();
-        session.threadId = thread.id;
+      const session = sessionId ? await refreshSession(sessionId) : null;
+      if (!session) {
+        socket.emit("error", { message: "Invalid session" });
+        return;
       }
-
-      // Create a new message in the OpenAI thread
-      await openai.beta.threads.messages.create(session.threadId, {
-        role: "user",
-        content: data.prompt,
+      const { lead, errors } = validateLead(data);
+      if (!lead) {
+        socket.emit("contact_rejected", { errors });
+        return;
+      }
+      const record = leads.add(lead, {
+        source: "contact_form",
+        conversation: { sessionId, threadId: session.threadId },
       });
+      socket.emit("contact_submitted", { leadId: record.id });
+    } catch (error) {
+      console.error("Error saving contact request:", error);
+      socket.emit("error", { message: "Error saving your contact details" });
+    }
+  });
 
-      // Stream the assistant's response
-      openai.beta.threads.runs
-        .stream(session.threadId, {
-          assistant_id: assistant.id,
-        })
-        .on("textCreated", (text) => {
-          // Emit textCreated events to the client
-          socket.emit("textCreated", text);
-        })
-        .on("textDelta", (textDelta, snapshot) => {
-          // Append the text delta to the full response and emit textDelta events
-          fullResponse += textDelta.value;
-          socket.emit("textDelta", { textDelta, snapshot });
-        })
-        .on("end", async () => {
-          // Emit responseComplete event to the client
-          socket.emit("responseComplete");
-          // Set a timeout for session cleanup
-          try {
-            const suggestions = await generateSuggestions(
-              data.prompt,
-              fullResponse
-            ); // Call your suggestion generation function
-            console.log("suggestions:", suggestions);
-            socket.emit("suggestions", { suggestions });
-          } catch (suggestionError) {
-            console.error("Error generating suggestions:", suggestionError);
-          }
-          session.timeoutId = setTimeout(
-            () => cleanupSession(sessionId),
-            SESSION_TIMEOUT
-          );
-        });
+  // Event handler for thumbs up/down on a response, by the messageId of responseComplete
+  socket.on("message_feedback", async (data) => {
+    try {
+      const session = sessionId ? await refreshSession(sessionId) : null;
+      if (!session) {
+        socket.emit("error", { message: "Invalid session" });
+        return;
+      }
+      const { feedback, errors } = await submitFeedback(sessionId, session, data);
+      if (!feedback) {
+        socket.emit("feedback_rejected", { messageId: data?.messageId ?? null, errors });
+        return;
+      }
+      socket.emit("feedback_saved", { messageId: feedback.messageId, feedbackId: feedback.id });
     } catch (error) {
-      // Handle errors during prompt processing
-      console.error("Error processing prompt:", error);
-      socket.emit("error", { message: "Error processing your request" });
+      console.error("Error saving feedback:", error);
+      socket.emit("error", { message: "Error saving your feedback" });
     }
   });
 
   // Event handler for socket disconnection
-  socket.on("disconnect", () => {
+  socket.on("disconnect", async () => {
     if (sessionId) {
-      const session = sessions.get(sessionId);
-      if (session) {
-        // Set a timeout for session cleanup when the socket disconnects
-        session.timeoutId = setTimeout(
-          () => cleanupSession(sessionId),
-          SESSION_TIMEOUT
-        );
+      if (sessionSockets.get(sessionId) === socket.id) sessionSockets.delete(sessionId);
+      // The session stays in the store and expires after SESSION_TIMEOUT_MS of inactivity
+      try {
+        await refreshSession(sessionId);
+      } catch (error) {
+        // Nobody is left to tell; the session just expires earlier
+        console.error(`Error refreshing session ${sessionId} on disconnect:`, error);
       }
     }
   });
 }
 
-// Export the setupSocketHandlers function
-export { setupSocketHandlers };
+// Export the chat service entry points
+export {
+  initChatService,
+  setupSocketHandlers,
+  createSession,
+  refreshSession,
+  cleanupSession,
+  checkSessionLimits,
+  checkPromptLimits,
+  getSessionHistory,
+  processPrompt,
+  cancelRun,
+  listSessions,
+  getSessionTranscript,
+  submitFeedback,
+  getAssistantInfo,
+};
@@ -0,0 +1,311 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import { readJsonFile, writeJsonFile } from "./utils.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Statuses worth retrying: rate limiting and server errors
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Parses robots.txt into user-agent groups.
+ * @param {string} text The robots.txt body.
+ * @returns {Array<{agents: Array<string>, rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>}
+ */
+export const parseRobots = (text) => {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator < 0) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!group) continue;
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: field === "allow", path: value });
+    } else if (field === "crawl-delay") {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay)) group.crawlDelay = delay;
+    }
+  }
+  return groups;
+};
+
+// Turns a robots.txt path pattern (* wildcards, optional trailing $) into a RegExp
+const robotsPatternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\\\*/g, ".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+};
+
+/**
+ * Picks the robots.txt group for a user agent: the most specific named group, else "*".
+ * @param {Array<object>} groups As returned by parseRobots.
+ * @param {string} userAgent The crawler's User-Agent.
+ * @returns {object|null}
+ */
+export const selectRobotsGroup = (groups, userAgent) => {
+  const agent = userAgent.toLowerCase();
+  let best = null;
+  let bestLength = 0;
+  for (const group of groups) {
+    for (const name of group.agents) {
+      if (name !== "*" && agent.includes(name) && name.length > bestLength) {
+        best = group;
+        bestLength = name.length;
+      }
+    }
+  }
+  return best || groups.find((group) => group.agents.includes("*")) || null;
+};
+
+/**
+ * Checks a path against a robots.txt group. The longest matching rule wins;
+ * Allow wins ties.
+ * @param {object|null} group As returned by selectRobotsGroup.
+ * @param {string} urlPath Path and query of the URL.
+ * @returns {boolean}
+ */
+export const isAllowedByRobots = (group, urlPath) => {
+  if (!group) return true;
+  let match = null;
+  for (const rule of group.rules) {
+    if (!robotsPatternToRegExp(rule.path).test(urlPath)) continue;
+    if (
+      !match ||
+      rule.path.length > match.path.length ||
+      (rule.path.length === match.path.length && rule.allow)
+    ) {
+      match = rule;
+    }
+  }
+  return !match || match.allow;
+};
+
+/**
+ * HTTP client for scraping that is polite to the sites it crawls: a global
+ * concurrency limit, a minimum delay between requests to the same host,
+ * exponential backoff with jitter on 429/5xx, robots.txt rules, and
+ * conditional requests against an on-disk cache so unchanged pages aren't
+ * downloaded again.
+ */
+export class Crawler {
+  /**
+   * @param {object} options The `crawler` section of config.
+   * @param {number} options.concurrency Requests in flight at once.
+   * @param {number} options.perHostDelayMs Minimum gap between requests to one host.
+   * @param {number} options.maxRetries Retries after the first attempt on 429/5xx/network errors.
+   * @param {number} options.baseBackoffMs First backoff; doubles with each retry.
+   * @param {number} options.maxBackoffMs Cap for the backoff.
+   * @param {number} options.timeoutMs Request timeout.
+   * @param {string} options.userAgent User-Agent sent and matched against robots.txt.
+   * @param {boolean} options.respectRobots Whether to obey robots.txt.
+   * @param {string} [options.cacheDir] Directory of the HTTP cache; empty disables it.
+   */
+  constructor(options) {
+    this.options = options;
+    this.active = 0;
+    this.waiting = [];
+    // Earliest time the next request to each host may start
+    this.hostNextAt = new Map();
+    // robots.txt group per origin, fetched once per crawler
+    this.robots = new Map();
+  }
+
+  async acquire() {
+    if (this.active < this.options.concurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    // Hand the slot straight to the next request, or free it
+    if (next) next();
+    else this.active--;
+  }
+
+  /**
+   * Reserves the next request slot for a host and waits for it.
+   * @param {string} host
+   * @param {number} delayMs Gap to leave after this request.
+   */
+  async waitForHost(host, delayMs) {
+    const now = Date.now();
+    const startAt = Math.max(now, this.hostNextAt.get(host) || 0);
+    this.hostNextAt.set(host, startAt + delayMs);
+    if (startAt > now) await sleep(startAt - now);
+  }
+
+  /**
+   * Loads the robots.txt group that applies to this crawler for an origin.
+   * A missing or unreachable robots.txt allows everything.
+   * @param {URL} url
+   * @returns {Promise<object|null>}
+   */
+  async getRobots(url) {
+    if (!this.robots.has(url.origin)) {
+      const loading = axios
+        .get(`${url.origin}/robots.txt`, {
+          timeout: this.options.timeoutMs,
+          headers: { "User-Agent": this.options.userAgent },
+          responseType: "text",
+          transformResponse: (body) => body,
+          validateStatus: () => true,
+        })
+        .then((response) =>
+          response.status === 200
+            ? selectRobotsGroup(parseRobots(String(response.data)), this.options.userAgent)
+            : null
+        )
+        .catch((error) => {
+          console.error(`Error fetching robots.txt for ${url.origin}:`, error.message);
+          return null;
+        });
+      this.robots.set(url.origin, loading);
+    }
+    return this.robots.get(url.origin);
+  }
+
+  cacheFile(url) {
+    const key = crypto.createHash("sha256").update(url).digest("hex");
+    return path.join(this.options.cacheDir, `${key}.json`);
+  }
+
+  /**
+   * Backoff before a retry: exponential with full jitter, or the server's Retry-After.
+   * @param {number} attempt Zero-based retry number.
+   * @param {string} [retryAfter] The Retry-After header.
+   * @returns {number} Milliseconds to wait.
+   */
+  backoff(attempt, retryAfter) {
+    const seconds = parseInt(retryAfter, 10);
+    if (!Number.isNaN(seconds)) return Math.min(seconds * 1000, this.options.maxBackoffMs);
+    const ceiling = Math.min(
+      this.options.baseBackoffMs * 2 ** attempt,
+      this.options.maxBackoffMs
+    );
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Fetches a page as text, or a file such as an image as a Buffer.
+   * @param {string} url
+   * @param {object} [options]
+   * @param {boolean} [options.binary] Return the body as a Buffer; binary responses aren't cached.
+   * @returns {Promise<{url: string, status: number, data: string|Buffer, fromCache: boolean}>}
+   * @throws When robots.txt disallows the URL, or on a non-2xx response after retries.
+   */
+  async fetch(url, { binary = false } = {}) {
+    const target = new URL(url);
+    const { respectRobots, perHostDelayMs, maxRetries } = this.options;
+    const cacheDir = binary ? null : this.options.cacheDir;
+
+    const robots = respectRobots ? await this.getRobots(target) : null;
+    if (respectRobots && !isAllowedByRobots(robots, target.pathname + target.search)) {
+      throw Object.assign(new Error(`Blocked by robots.txt: ${url}`), { status: 403 });
+    }
+    const delayMs = Math.max(perHostDelayMs, (robots?.crawlDelay || 0) * 1000);
+
+    const cached = cacheDir ? readJsonFile(this.cacheFile(url)) : null;
+    const headers = { "User-Agent": this.options.userAgent };
+    if (cached?.etag) headers["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+    await this.acquire();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await this.waitForHost(target.host, delayMs);
+        let response;
+        try {
+          response = await axios.get(url, {
+            timeout: this.options.timeoutMs,
+            headers,
+            responseType: binary ? "arraybuffer" : "text",
+            transformResponse: (body) => body,
+            validateStatus: () => true,
+          });
+        } catch (error) {
+          // Network errors and timeouts are retried like server errors
+          if (attempt >= maxRetries) throw error;
+          const wait = this.backoff(attempt);
+          console.log(`Attempt ${attempt + 1} for ${url} failed (${error.message}). Retrying in ${wait}ms...`);
+          await sleep(wait);
+          continue;
+        }
+
+        if (response.status === 304 && cached) {
+          // Mark the entry as still current so pruning keeps it
+          const now = new Date();
+          fs.utimesSync(this.cacheFile(url), now, now);
+          return { url, status: cached.status, data: cached.body, fromCache: true };
+        }
+        if (isRetryableStatus(response.status) && attempt < maxRetries) {
+          const wait = this.backoff(attempt, response.headers["retry-after"]);
+          console.log(`Attempt ${attempt + 1} for ${url} got ${response.status}. Retrying in ${wait}ms...`);
+          await sleep(wait);
+          continue;
+        }
+        if (response.status < 200 || response.status >= 300) {
+          throw Object.assign(
+            new Error(`Request failed with status code ${response.status}: ${url}`),
+            { status: response.status }
+          );
+        }
+
+        const { etag, "last-modified": lastModified } = response.headers;
+        if (cacheDir && (etag || lastModified)) {
+          writeJsonFile(this.cacheFile(url), {
+            url,
+            status: response.status,
+            etag: etag || null,
+            lastModified: lastModified || null,
+            fetchedAt: new Date().toISOString(),
+            body: response.data,
+          });
+        }
+        const data = binary ? Buffer.from(response.data) : response.data;
+        return { url, status: response.status, data, fromCache: false };
+      }
+    } finally {
+      this.release();
+    }
+  }
+}
+
+/**
+ * Removes cache entries not fetched or revalidated within `maxAgeMs`, e.g.
+ * pages of listings that have come off the market.
+ * @param {string} cacheDir
+ * @param {number} maxAgeMs
+ */
+export const pruneHttpCache = (cacheDir, maxAgeMs) => {
+  if (!fs.existsSync(cacheDir)) return;
+  const cutoff = Date.now() - maxAgeMs;
+  for (const name of fs.readdirSync(cacheDir)) {
+    const fileName = path.join(cacheDir, name);
+    if (fs.statSync(fileName).mtimeMs < cutoff) fs.rmSync(fileName, { force: true });
+  }
+};
@@ -0,0 +1,91 @@
+import { v4 as uuidv4 } from "uuid";
+import { readJsonFile, writeJsonFile } from "./utils.js";
+import { isPlainObject } from "./leadStore.js";
+
+// Ratings a visitor can give a response: thumbs up or thumbs down
+export const FEEDBACK_RATINGS = ["up", "down"];
+
+/**
+ * Validates feedback sent from the chat widget.
+ * @param {object} input messageId, rating (up or down) and an optional comment.
+ * @returns {{feedback: object|null, errors: Array<string>}}
+ */
+export const validateFeedback = (input = {}) => {
+  if (!isPlainObject(input)) return { feedback: null, errors: ["feedback details are required"] };
+  const errors = [];
+  const messageId =
+    typeof input.messageId === "string" && input.messageId.trim() ? input.messageId.trim() : null;
+  const comment =
+    typeof input.comment === "string" && input.comment.trim()
+      ? input.comment.trim().slice(0, 2000)
+      : null;
+
+  if (!messageId) errors.push("messageId is required");
+  if (!FEEDBACK_RATINGS.includes(input.rating)) {
+    errors.push(`rating must be one of ${FEEDBACK_RATINGS.join(", ")}`);
+  }
+
+  if (errors.length) return { feedback: null, errors };
+  return { feedback: { messageId, rating: input.rating, comment }, errors };
+};
+
+/**
+ * Persists feedback on assistant responses to a JSON file, newest last. Each
+ * record keeps the prompt and response it rates, so bad exchanges can be
+ * reviewed after the thread is gone.
+ */
+export class FeedbackStore {
+  constructor({ fileName }) {
+    this.fileName = fileName;
+    this.feedback = readJsonFile(fileName, []);
+  }
+
+  /**
+   * Records feedback on a response. Rating the same response again from the
+   * same session replaces the earlier rating and comment.
+   * @param {object} feedback As returned by validateFeedback.
+   * @param {object} meta
+   * @param {object} meta.conversation { sessionId, threadId } of the chat.
+   * @param {object} meta.exchange { prompt, response }, each { messageId, content }.
+   * @param {string} [meta.locale] The session's locale.
+   * @returns {object} The stored feedback.
+   */
+  record(feedback, { conversation, exchange, locale = null }) {
+    const now = new Date().toISOString();
+    const existing = this.feedback.find(
+      (record) =>
+        record.messageId === feedback.messageId &&
+        record.conversation.sessionId === conversation.sessionId
+    );
+    if (existing) {
+      Object.assign(existing, { rating: feedback.rating, comment: feedback.comment, updatedAt: now });
+    } else {
+      this.feedback.push({
+        id: uuidv4(),
+        createdAt: now,
+        updatedAt: now,
+        ...feedback,
+        conversation,
+        locale,
+        prompt: exchange.prompt,
+        response: exchange.response,
+      });
+    }
+    writeJsonFile(this.fileName, this.feedback);
+    return existing || this.feedback.at(-1);
+  }
+
+  /**
+   * Lists feedback, newest first.
+   * @param {object} [options]
+   * @param {string} [options.rating] Only feedback with this rating.
+   * @param {string} [options.since] Only feedback given or changed at or after this ISO date.
+   * @returns {Array<object>}
+   */
+  list({ rating, since } = {}) {
+    return this.feedback
+      .filter((record) => !rating || record.rating === rating)
+      .filter((record) => !since || record.updatedAt >= since)
+      .reverse();
+  }
+}
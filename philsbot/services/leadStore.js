@@ -0,0 +1,146 @@
+import { v4 as uuidv4 } from "uuid";
+import { readJsonFile, writeJsonFile } from "./utils.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Whether an email address looks deliverable
+export const isValidEmail = (email) => EMAIL_PATTERN.test(email);
+
+/**
+ * Normalizes a phone number to E.164 (+16045551234). North American numbers
+ * may omit the country code.
+ * @param {string} phone
+ * @returns {string|null} null when it doesn't look like a phone number.
+ */
+export const normalizePhone = (phone) => {
+  const digits = String(phone).replace(/\D/g, "");
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  if (String(phone).trim().startsWith("+") && digits.length >= 8 && digits.length <= 15) {
+    return `+${digits}`;
+  }
+  return null;
+};
+
+// Trims a string field, treating blanks and non-strings as missing
+const optionalText = (value, maxLength) =>
+  typeof value === "string" && value.trim()
+    ? value.trim().slice(0, maxLength)
+    : null;
+
+// Whether a value is a plain object, as opposed to null, an array or a primitive sent by a client
+export const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validates and normalizes contact details. A lead needs a name and at least
+ * one way to reach the person.
+ * @param {object} input name, email, phone, listingOfInterest, message.
+ * @returns {{lead: object|null, errors: Array<string>}}
+ */
+export const validateLead = (input = {}) => {
+  if (!isPlainObject(input)) return { lead: null, errors: ["contact details are required"] };
+  const errors = [];
+  const name = optionalText(input.name, 200);
+  const email = optionalText(input.email, 320)?.toLowerCase() || null;
+  const rawPhone = optionalText(input.phone, 40);
+  const phone = rawPhone && normalizePhone(rawPhone);
+
+  if (!name) errors.push("name is required");
+  if (email && !isValidEmail(email)) errors.push("email is not valid");
+  if (rawPhone && !phone) errors.push("phone is not valid");
+  if (!email && !rawPhone) errors.push("an email or phone number is required");
+
+  if (errors.length) return { lead: null, errors };
+  return {
+    lead: {
+      name,
+      email,
+      phone,
+      listingOfInterest: optionalText(input.listingOfInterest, 500),
+      message: optionalText(input.message, 2000),
+    },
+    errors,
+  };
+};
+
+/**
+ * Persists captured leads to a JSON file, newest last.
+ */
+export class LeadStore {
+  constructor({ fileName }) {
+    this.fileName = fileName;
+    this.leads = readJsonFile(fileName, []);
+  }
+
+  /**
+   * Adds a validated lead.
+   * @param {object} lead As returned by validateLead.
+   * @param {object} meta
+   * @param {string} meta.source Where the lead came from (chat_tool, contact_form).
+   * @param {object} [meta.conversation] { sessionId, threadId } of the chat it came from.
+   * @returns {object} The stored lead.
+   */
+  add(lead, { source, conversation = null }) {
+    const record = {
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+      source,
+      ...lead,
+      conversation,
+    };
+    this.leads.push(record);
+    writeJsonFile(this.fileName, this.leads);
+    return record;
+  }
+
+  /**
+   * Lists leads, newest first.
+   * @param {object} [options]
+   * @param {string} [options.since] Only leads created at or after this ISO date.
+   * @returns {Array<object>}
+   */
+  list({ since } = {}) {
+    return this.leads
+      .filter((lead) => !since || lead.createdAt >= since)
+      .reverse();
+  }
+}
+
+/**
+ * Builds the create_lead tool, which records contact details the visitor gives in chat.
+ * @param {LeadStore} leadStore Where leads are stored.
+ * @returns {object} A tool for registerTool.
+ */
+export const createLeadTool = (leadStore) => ({
+  name: "create_lead",
+  description:
+    "Record a visitor's contact details when they share a phone number or email, or ask to be contacted by the agent. Only call this with details the visitor gave explicitly.",
+  parameters: {
+    type: "object",
+    properties: {
+      name: { type: "string", description: "The visitor's name" },
+      email: { type: "string" },
+      phone: { type: "string" },
+      listingOfInterest: {
+        type: "string",
+        description: "MLS number or address of the listing they are asking about, if any",
+      },
+      message: {
+        type: "string",
+        description: "What they want, e.g. book a viewing this weekend",
+      },
+    },
+    required: ["name"],
+    additionalProperties: false,
+  },
+  handler: async (input, { sessionId, session }) => {
+    const { lead, errors } = validateLead(input);
+    if (!lead) return { success: false, errors };
+    const record = leadStore.add(lead, {
+      source: "chat_tool",
+      conversation: { sessionId, threadId: session.threadId },
+    });
+    return { success: true, leadId: record.id };
+  },
+});
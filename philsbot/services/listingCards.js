@@ -0,0 +1,126 @@
+import { summarizeListing } from "./listingSearch.js";
+import { listingKey } from "./listingDiff.js";
+import { DEFAULT_LOCALE, formatArea, formatPrice, formatStatus } from "./locale.js";
+
+// Tokens that could be MLS numbers, e.g. R2912345; only ones in the snapshot count
+const MLS_CANDIDATE_PATTERN = /\b[A-Z0-9]{5,12}\b/gi;
+
+// Optional direction between the street number and name, e.g. "1500 W Georgia"
+const DIRECTION_PATTERN = "(?:(?:n|s|e|w|north|south|east|west)\\.?\\s+)?";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Builds the card the widget renders for a listing. Numbers are kept as they
+ * are; the formatted price, floor area and status are in the locale.
+ * @param {object} listing A listing from a snapshot.
+ * @param {string} [locale] A supported locale.
+ * @returns {object}
+ */
+export const toListingCard = (listing, locale = DEFAULT_LOCALE) => {
+  const summary = summarizeListing(listing);
+  return {
+    key: listingKey(listing),
+    listingId: summary.listingId || null,
+    mlsNumber: summary.mlsNumber,
+    address: summary.address,
+    city: summary.city,
+    neighborhood: summary.neighborhood,
+    status: summary.status,
+    statusLabel: formatStatus(summary.status, locale),
+    price: summary.price,
+    priceFormatted: formatPrice(summary.price, locale) || summary.priceFormatted,
+    bedrooms: summary.bedrooms,
+    bathrooms: summary.bathrooms,
+    floorAreaSqft: summary.floorAreaSqft,
+    floorAreaFormatted: formatArea(summary.floorAreaSqft, locale),
+    thumbnailUrl: summary.thumbnailUrl || summary.imageUrl || null,
+    shareUrl: summary.shareUrl || null,
+  };
+};
+
+/**
+ * Finds where a reply mentions a listing's street address, e.g. "1500 Howe"
+ * in "1500 HOWE STREET" or "#1203 - 1500 Howe St".
+ * @param {string} text The reply.
+ * @param {object} location The listing's `location`.
+ * @returns {number} Position of the first mention, or -1.
+ */
+const findAddress = (text, location = {}) => {
+  if (!location.streetNumber || !location.streetName) return -1;
+  const pattern = new RegExp(
+    `\\b${escapeRegExp(location.streetNumber)}\\s+${DIRECTION_PATTERN}${escapeRegExp(location.streetName)}\\b`,
+    "i"
+  );
+  return text.search(pattern);
+};
+
+/**
+ * Whether a reply names a listing's unit: "#1203", "unit 1203", or "1203-1500 Howe".
+ * @param {string} text The reply.
+ * @param {object} location The listing's `location`, with a unit.
+ * @returns {boolean}
+ */
+const mentionsUnit = (text, { unit, streetNumber }) => {
+  const escapedUnit = escapeRegExp(unit);
+  return (
+    new RegExp(`(?:#|\\bunit\\s+|\\bsuite\\s+)${escapedUnit}\\b`, "i").test(text) ||
+    new RegExp(`\\b${escapedUnit}\\s*[-–]\\s*${escapeRegExp(streetNumber)}\\b`, "i").test(text)
+  );
+};
+
+/**
+ * Finds the listings a reply refers to: listings whose MLS number or street
+ * address appears in the text, in the order they are mentioned, followed by
+ * listings returned by tools during the run.
+ * @param {Array<object>} listings Listings of the latest snapshot.
+ * @param {object} reply
+ * @param {string} reply.text The assistant's reply.
+ * @param {Array<object>} [reply.toolListings] Listing summaries returned by tools.
+ * @param {number} [reply.limit] Most listings returned.
+ * @returns {Array<object>} The referenced listings from the snapshot.
+ */
+export const findReferencedListings = (
+  listings,
+  { text = "", toolListings = [], limit = Infinity }
+) => {
+  const byMls = new Map();
+  const byKey = new Map();
+  for (const listing of listings) {
+    if (listing.details?.mlsNumber) byMls.set(listing.details.mlsNumber, listing);
+    const key = listingKey(listing);
+    if (key) byKey.set(key, listing);
+  }
+
+  const mentions = [];
+  for (const match of text.matchAll(MLS_CANDIDATE_PATTERN)) {
+    const listing = byMls.get(match[0].toUpperCase());
+    if (listing) mentions.push({ listing, index: match.index });
+  }
+
+  const addressMatches = listings
+    .map((listing) => ({ listing, index: findAddress(text, listing.location) }))
+    .filter(({ index }) => index >= 0);
+  // Several units in one building share a street address; keep the units the reply names
+  const namedUnits = addressMatches.filter(
+    ({ listing }) => listing.location?.unit && mentionsUnit(text, listing.location)
+  );
+  for (const match of addressMatches) {
+    const sameBuilding = namedUnits.filter(
+      ({ listing }) =>
+        listing.location.streetNumber === match.listing.location.streetNumber &&
+        listing.location.streetName === match.listing.location.streetName
+    );
+    if (sameBuilding.length && !sameBuilding.includes(match)) continue;
+    mentions.push(match);
+  }
+
+  const referenced = [
+    ...mentions.sort((a, b) => a.index - b.index).map(({ listing }) => listing),
+    ...toolListings.map(
+      (summary) => byKey.get(summary.listingId) || byMls.get(summary.mlsNumber)
+    ),
+  ].filter(Boolean);
+
+  return [...new Set(referenced)].slice(0, limit);
+};
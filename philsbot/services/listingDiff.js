@@ -0,0 +1,111 @@
+import { cleanText } from "./utils.js";
+import { summarizeListing } from "./listingSearch.js";
+
+/**
+ * Key identifying a listing across snapshots: its listing ID, namespaced by source, falling back to the MLS number.
+ * @param {object} listing A listing from a snapshot.
+ * @returns {string|null}
+ */
+export const listingKey = (listing) =>
+  listing.listingId || listing.details?.mlsNumber || null;
+
+// Indexes listings by key, skipping any that can't be identified
+const indexListings = (listings) => {
+  const index = new Map();
+  for (const listing of listings) {
+    const key = listingKey(listing);
+    if (key) index.set(key, listing);
+  }
+  return index;
+};
+
+// Identifying fields included with every change
+const describe = (key, listing) => {
+  const summary = summarizeListing(listing);
+  return {
+    key,
+    listingId: summary.listingId,
+    mlsNumber: summary.mlsNumber,
+    address: summary.address,
+    shareUrl: summary.shareUrl,
+  };
+};
+
+const normalizeDescription = (listing) =>
+  cleanText(listing.detailedInfo?.description || "");
+
+/**
+ * Compares two snapshots and lists what changed between them.
+ * @param {Array<object>} previous Listings of the earlier snapshot.
+ * @param {Array<object>} current Listings of the new snapshot.
+ * @returns {object} Change set with added, removed, priceChanges, statusChanges and descriptionChanges.
+ */
+export const diffListings = (previous, current) => {
+  const before = indexListings(previous);
+  const after = indexListings(current);
+  const changes = {
+    added: [],
+    removed: [],
+    priceChanges: [],
+    statusChanges: [],
+    descriptionChanges: [],
+  };
+
+  for (const [key, listing] of after) {
+    const old = before.get(key);
+    if (!old) {
+      changes.added.push(summarizeListing(listing));
+      continue;
+    }
+
+    const oldPrice = old.price?.amount ?? null;
+    const newPrice = listing.price?.amount ?? null;
+    if (oldPrice !== newPrice) {
+      changes.priceChanges.push({
+        ...describe(key, listing),
+        from: oldPrice,
+        to: newPrice,
+        change: oldPrice != null && newPrice != null ? newPrice - oldPrice : null,
+      });
+    }
+
+    if ((old.status || "") !== (listing.status || "")) {
+      changes.statusChanges.push({
+        ...describe(key, listing),
+        from: old.status || null,
+        to: listing.status || null,
+      });
+    }
+
+    // Details may be missing when a detail page failed to load; that isn't an edit
+    if (old.detailedInfo && listing.detailedInfo) {
+      const oldDescription = normalizeDescription(old);
+      const newDescription = normalizeDescription(listing);
+      if (oldDescription !== newDescription) {
+        changes.descriptionChanges.push({
+          ...describe(key, listing),
+          from: oldDescription,
+          to: newDescription,
+        });
+      }
+    }
+  }
+
+  for (const [key, listing] of before) {
+    if (!after.has(key)) changes.removed.push(summarizeListing(listing));
+  }
+
+  return changes;
+};
+
+/**
+ * Counts the entries of a change set.
+ * @param {object} changes As returned by diffListings.
+ * @returns {number}
+ */
+export const countChanges = (changes) =>
+  changes.added.length +
+  changes.removed.length +
+  changes.priceChanges.length +
+  changes.statusChanges.length +
+  changes.descriptionChanges.length;
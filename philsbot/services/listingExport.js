@@ -0,0 +1,241 @@
+import path from "path";
+import { toCsv, writeJsonFile, writeTextFile } from "./utils.js";
+import { formatPrice } from "./locale.js";
+import { summarizeListing } from "./listingSearch.js";
+import { listingKey } from "./listingDiff.js";
+
+// Columns of the listings CSV export
+export const LISTING_CSV_COLUMNS = [
+  ["listingId", (listing) => listing.listingId],
+  ["mlsNumber", (listing) => listing.details?.mlsNumber],
+  ["status", (listing) => listing.status],
+  ["price", (listing) => listing.price?.amount],
+  ["address", (listing) => summarizeListing(listing).address],
+  ["unit", (listing) => listing.location?.unit],
+  ["city", (listing) => listing.location?.city],
+  ["area", (listing) => listing.location?.area],
+  ["neighborhood", (listing) => listing.location?.neighborhood],
+  ["postalCode", (listing) => listing.location?.postalCode],
+  ["latitude", (listing) => listing.location?.latitude],
+  ["longitude", (listing) => listing.location?.longitude],
+  ["bedrooms", (listing) => listing.details?.bedrooms],
+  ["bathrooms", (listing) => listing.details?.bathrooms],
+  ["floorAreaSqft", (listing) => listing.details?.floorArea?.sqft],
+  ["yearBuilt", (listing) => listing.detailedInfo?.features?.yearBuilt],
+  ["taxes", (listing) => listing.detailedInfo?.taxes?.amount],
+  ["strataFee", (listing) => listing.detailedInfo?.strataFee?.monthly],
+  ["shareUrl", (listing) => listing.shareUrl],
+  ["imageUrl", (listing) => summarizeListing(listing).imageUrl],
+  ["sources", (listing) => (listing.sources || []).map((source) => source.id).join(" ")],
+];
+
+// File names written to the exports directory after each scrape
+export const EXPORT_FILES = {
+  csv: "listings.csv",
+  geojson: "listings.geojson",
+  atom: "feed.atom",
+  rss: "feed.rss",
+};
+
+const escapeXml = (value) =>
+  String(value ?? "").replace(
+    /[<>&'"]/g,
+    (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[char]
+  );
+
+/**
+ * Converts listings to CSV.
+ * @param {Array<object>} listings Listings from a snapshot.
+ * @returns {string}
+ */
+export const listingsToCsv = (listings) => toCsv(listings, LISTING_CSV_COLUMNS);
+
+/**
+ * Converts the listings that have coordinates to a GeoJSON FeatureCollection
+ * of points carrying the listing summary.
+ * @param {Array<object>} listings Listings from a snapshot.
+ * @returns {object}
+ */
+export const listingsToGeoJson = (listings) => ({
+  type: "FeatureCollection",
+  features: listings
+    .filter(
+      (listing) =>
+        typeof listing.location?.latitude === "number" &&
+        typeof listing.location?.longitude === "number"
+    )
+    .map((listing) => ({
+      type: "Feature",
+      id: listingKey(listing),
+      // GeoJSON positions are longitude first
+      geometry: {
+        type: "Point",
+        coordinates: [listing.location.longitude, listing.location.latitude],
+      },
+      properties: summarizeListing(listing),
+    })),
+});
+
+/**
+ * Turns change sets into feed entries for new and changed listings, newest
+ * first. Removed listings aren't included.
+ * @param {Array<object>} changeSets Change sets as saved by recordChanges, newest first.
+ * @returns {Array<object>} Entries with id, title, summary, link and updated.
+ */
+export const changesToFeedEntries = (changeSets) =>
+  changeSets.flatMap((changes) => {
+    const entry = (type, change, title, summary) => ({
+      id: `urn:philsbot:${changes.snapshot}:${type}:${change.key || change.listingId || change.mlsNumber}`,
+      title: `${title}: ${change.address || change.mlsNumber || "listing"}`,
+      summary,
+      link: change.shareUrl || null,
+      updated: changes.generatedAt,
+    });
+    return [
+      ...changes.added.map((listing) =>
+        entry(
+          "added",
+          listing,
+          "New listing",
+          [
+            listing.priceFormatted || formatPrice(listing.price) || "no price",
+            listing.bedrooms != null ? `${listing.bedrooms} bed` : null,
+            listing.bathrooms != null ? `${listing.bathrooms} bath` : null,
+            listing.floorAreaSqft ? `${listing.floorAreaSqft} sq ft` : null,
+            listing.mlsNumber ? `MLS ${listing.mlsNumber}` : null,
+          ]
+            .filter(Boolean)
+            .join(" · ")
+        )
+      ),
+      ...changes.priceChanges.map((change) =>
+        entry(
+          "price",
+          change,
+          change.change != null && change.change < 0 ? "Price reduced" : "Price changed",
+          `${formatPrice(change.from) ?? "no price"} → ${formatPrice(change.to) ?? "no price"}`
+        )
+      ),
+      ...changes.statusChanges.map((change) =>
+        entry(
+          "status",
+          change,
+          "Status changed",
+          `${change.from || "unknown"} → ${change.to || "unknown"}`
+        )
+      ),
+      ...changes.descriptionChanges.map((change) =>
+        entry("description", change, "Description updated", change.to)
+      ),
+    ];
+  });
+
+/**
+ * Renders feed entries as an Atom feed.
+ * @param {Array<object>} entries As returned by changesToFeedEntries.
+ * @param {object} options
+ * @param {string} options.title Feed title.
+ * @param {string} [options.selfUrl] Absolute URL the feed is served from.
+ * @returns {string}
+ */
+export const renderAtomFeed = (entries, { title, selfUrl }) => {
+  const updated = entries[0]?.updated || new Date().toISOString();
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl || "urn:philsbot:listings")}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <updated>${escapeXml(updated)}</updated>`,
+    `  <author><name>${escapeXml(title)}</name></author>`,
+    selfUrl ? `  <link rel="self" href="${escapeXml(selfUrl)}"/>` : null,
+    ...entries.map((entry) =>
+      [
+        "  <entry>",
+        `    <id>${escapeXml(entry.id)}</id>`,
+        `    <title>${escapeXml(entry.title)}</title>`,
+        `    <updated>${escapeXml(entry.updated)}</updated>`,
+        entry.link ? `    <link href="${escapeXml(entry.link)}"/>` : null,
+        `    <summary>${escapeXml(entry.summary)}</summary>`,
+        "  </entry>",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    ),
+    "</feed>",
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+};
+
+/**
+ * Renders feed entries as an RSS 2.0 feed.
+ * @param {Array<object>} entries As returned by changesToFeedEntries.
+ * @param {object} options
+ * @param {string} options.title Feed title.
+ * @param {string} [options.selfUrl] Absolute URL the feed is served from.
+ * @returns {string}
+ */
+export const renderRssFeed = (entries, { title, selfUrl }) => {
+  const rfc822 = (date) => new Date(date).toUTCString();
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(selfUrl || "")}</link>`,
+    `    <description>${escapeXml(title)}</description>`,
+    entries[0] ? `    <lastBuildDate>${rfc822(entries[0].updated)}</lastBuildDate>` : null,
+    selfUrl
+      ? `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`
+      : null,
+    ...entries.map((entry) =>
+      [
+        "    <item>",
+        `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+        `      <title>${escapeXml(entry.title)}</title>`,
+        entry.link ? `      <link>${escapeXml(entry.link)}</link>` : null,
+        `      <description>${escapeXml(entry.summary)}</description>`,
+        `      <pubDate>${rfc822(entry.updated)}</pubDate>`,
+        "    </item>",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    ),
+    "  </channel>",
+    "</rss>",
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+};
+
+/**
+ * Writes the CSV, GeoJSON, Atom and RSS exports of the current listings.
+ * Each file is written atomically, so readers never see half a file.
+ * @param {string} dir Exports directory.
+ * @param {object} data
+ * @param {Array<object>} data.listings Listings of the new snapshot.
+ * @param {Array<object>} data.changeSets Recent change sets, newest first.
+ * @param {object} feed
+ * @param {string} feed.title Feed title.
+ * @param {string} [feed.publicUrl] URL prefix the exports are served under, for feed self links.
+ * @returns {Array<string>} The files written.
+ */
+export const writeListingExports = (dir, { listings, changeSets }, { title, publicUrl }) => {
+  const entries = changesToFeedEntries(changeSets);
+  const selfUrl = (name) => (publicUrl ? `${publicUrl.replace(/\/$/, "")}/${name}` : undefined);
+  const file = (name) => path.join(dir, name);
+
+  writeTextFile(file(EXPORT_FILES.csv), listingsToCsv(listings));
+  writeJsonFile(file(EXPORT_FILES.geojson), listingsToGeoJson(listings));
+  writeTextFile(
+    file(EXPORT_FILES.atom),
+    renderAtomFeed(entries, { title, selfUrl: selfUrl(EXPORT_FILES.atom) })
+  );
+  writeTextFile(
+    file(EXPORT_FILES.rss),
+    renderRssFeed(entries, { title, selfUrl: selfUrl(EXPORT_FILES.rss) })
+  );
+  return Object.values(EXPORT_FILES).map(file);
+};
@@ -0,0 +1,171 @@
+import Ajv from "ajv";
+import { listingKey } from "./listingDiff.js";
+
+// Schema of a normalized listing record, as saved in the snapshots
+export const LISTING_SCHEMA = {
+  type: "object",
+  required: ["price", "status", "location", "details", "detailedInfo", "sources"],
+  properties: {
+    listingId: { type: "string" },
+    shareUrl: { type: "string", pattern: "^https?://" },
+    price: {
+      type: "object",
+      required: ["amount"],
+      properties: {
+        amount: { type: "number", exclusiveMinimum: 0 },
+        formatted: { type: "string" },
+      },
+    },
+    status: { type: "string", minLength: 1 },
+    location: {
+      type: "object",
+      properties: {
+        unit: { type: ["string", "null"] },
+        streetNumber: { type: ["string", "null"] },
+        streetName: { type: ["string", "null"] },
+        city: { type: ["string", "null"] },
+        postalCode: { type: ["string", "null"] },
+        latitude: { type: ["number", "null"], minimum: -90, maximum: 90 },
+        longitude: { type: ["number", "null"], minimum: -180, maximum: 180 },
+      },
+    },
+    imageUrl: { type: ["string", "null"] },
+    details: {
+      type: "object",
+      required: ["mlsNumber"],
+      properties: {
+        mlsNumber: { type: "string", pattern: "^[A-Z0-9]+$" },
+        bedrooms: { type: "integer", minimum: 0 },
+        bathrooms: { type: "number", minimum: 0 },
+        floorArea: {
+          type: "object",
+          properties: { sqft: { type: "number", exclusiveMinimum: 0 } },
+        },
+      },
+    },
+    detailedInfo: {
+      type: "object",
+      properties: { description: { type: "string" } },
+    },
+    photos: { type: "array" },
+    sources: {
+      type: "array",
+      minItems: 1,
+      items: { type: "object", required: ["id"] },
+    },
+  },
+};
+
+// verbose adds the failing value to errors, so null values can be reported as missing
+const validate = new Ajv({ allErrors: true, verbose: true }).compile(LISTING_SCHEMA);
+
+// Fields whose coverage is reported, with how to read each from a listing
+const COVERAGE_FIELDS = [
+  ["price", (listing) => listing.price?.amount],
+  ["mlsNumber", (listing) => listing.details?.mlsNumber],
+  ["status", (listing) => listing.status],
+  ["streetAddress", (listing) => listing.location?.streetName],
+  ["city", (listing) => listing.location?.city],
+  ["postalCode", (listing) => listing.location?.postalCode],
+  ["coordinates", (listing) => listing.location?.latitude],
+  ["bedrooms", (listing) => listing.details?.bedrooms],
+  ["bathrooms", (listing) => listing.details?.bathrooms],
+  ["floorArea", (listing) => listing.details?.floorArea?.sqft],
+  ["description", (listing) => listing.detailedInfo?.description],
+  ["yearBuilt", (listing) => listing.detailedInfo?.features?.yearBuilt],
+  ["taxes", (listing) => listing.detailedInfo?.taxes?.amount],
+  ["photos", (listing) => listing.photos?.length || listing.imageUrl],
+  ["shareUrl", (listing) => listing.shareUrl],
+];
+
+const hasValue = (value) => value !== undefined && value !== null && value !== "";
+
+// Turns an ajv error into a readable reason, e.g. "price.amount must be > 0"
+const describeError = (error) => {
+  const field = [
+    ...error.instancePath.split("/").filter(Boolean),
+    error.params?.missingProperty,
+  ]
+    .filter(Boolean)
+    .join(".");
+  // Sources leave detailedInfo null when the detail page failed to load or parse
+  if (field === "detailedInfo") return "detail page could not be loaded or parsed";
+  if (error.keyword === "required" || error.data == null) return `${field} is missing`;
+  return `${field || "listing"} ${error.message}`;
+};
+
+/**
+ * Validates a listing against LISTING_SCHEMA.
+ * @param {object} listing
+ * @returns {Array<string>} Reasons the listing is invalid; empty when it is valid.
+ */
+export const validateListing = (listing) => {
+  if (validate(listing)) return [];
+  return [...new Set(validate.errors.map(describeError))];
+};
+
+const percent = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : 0);
+
+/**
+ * Validates scraped listings and reports on their quality. Invalid listings
+ * are kept, flagged with `qualityErrors`, so a listing that briefly fails
+ * validation isn't reported as removed and then added again.
+ * @param {Array<object>} listings Merged listings of a scrape.
+ * @param {object} thresholds The `quality` section of config.
+ * @param {number} thresholds.minValidPercent Lowest share of valid listings that passes.
+ * @param {number} thresholds.minListings Fewest valid listings that passes.
+ * @returns {{listings: Array<object>, report: object}} The listings, flagged, and the quality report.
+ */
+export const checkListingQuality = (listings, { minValidPercent, minListings }) => {
+  const checked = [];
+  let valid = 0;
+  const invalidRecords = [];
+  // Listings kept from the previous snapshot are checked again, not by their old flag
+  for (const { qualityErrors, ...listing } of listings) {
+    const reasons = validateListing(listing);
+    if (reasons.length === 0) {
+      checked.push(listing);
+      valid += 1;
+      continue;
+    }
+    checked.push({ ...listing, qualityErrors: reasons });
+    invalidRecords.push({
+      key: listingKey(listing),
+      shareUrl: listing.shareUrl || null,
+      sources: (listing.sources || []).map((source) => source.id),
+      reasons,
+    });
+  }
+
+  const coverage = Object.fromEntries(
+    COVERAGE_FIELDS.map(([field, read]) => [
+      field,
+      percent(listings.filter((listing) => hasValue(read(listing))).length, listings.length),
+    ])
+  );
+  const validPercent = percent(valid, listings.length);
+
+  const failures = [];
+  if (valid < minListings) {
+    failures.push(`only ${valid} valid listing(s), need at least ${minListings}`);
+  }
+  if (listings.length && validPercent < minValidPercent) {
+    failures.push(`${validPercent}% of listings are valid, need at least ${minValidPercent}%`);
+  }
+
+  return {
+    listings: checked,
+    report: {
+      generatedAt: new Date().toISOString(),
+      total: listings.length,
+      valid,
+      invalid: invalidRecords.length,
+      validPercent,
+      passed: failures.length === 0,
+      failures,
+      thresholds: { minValidPercent, minListings },
+      coverage,
+      invalidRecords,
+    },
+  };
+};
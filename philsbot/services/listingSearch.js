@@ -0,0 +1,159 @@
+import { formatStreet } from "./addressParser.js";
+
+// Most listings a single search returns to the assistant
+const MAX_RESULTS = 25;
+
+// Fields the results can be sorted by, mapped to their value on a summary
+const SORT_FIELDS = {
+  price: (listing) => listing.price,
+  bedrooms: (listing) => listing.bedrooms,
+  bathrooms: (listing) => listing.bathrooms,
+  floorArea: (listing) => listing.floorAreaSqft,
+};
+
+// Case-insensitive substring match
+const includesText = (value, search) =>
+  String(value || "").toLowerCase().includes(String(search).toLowerCase());
+
+/**
+ * Formats a parsed location as a single address line.
+ * @param {object} location The listing's `location`.
+ * @returns {string}
+ */
+export const formatAddress = (location = {}) =>
+  [
+    formatStreet(location),
+    location.city,
+    location.postalCode,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * Flattens a scraped listing into the compact record returned to the assistant.
+ * @param {object} listing A listing from a snapshot.
+ * @returns {object}
+ */
+export const summarizeListing = (listing) => ({
+  listingId: listing.listingId,
+  mlsNumber: listing.details?.mlsNumber || null,
+  address: formatAddress(listing.location),
+  city: listing.location?.city || null,
+  neighborhood: listing.location?.neighborhood || null,
+  price: listing.price?.amount ?? null,
+  priceFormatted: listing.price?.formatted || null,
+  status: listing.status || null,
+  bedrooms: listing.details?.bedrooms ?? null,
+  bathrooms: listing.details?.bathrooms ?? null,
+  floorAreaSqft: listing.details?.floorArea?.sqft ?? null,
+  yearBuilt: listing.detailedInfo?.features?.yearBuilt ?? null,
+  shareUrl: listing.shareUrl,
+  // Locally stored copies when the photos were downloaded, else the source site's image
+  imageUrl: listing.photos?.[0]?.url || listing.imageUrl,
+  thumbnailUrl: listing.photos?.[0]?.thumbnailUrl || null,
+  photoCount: listing.photos?.length ?? (listing.imageUrl ? 1 : 0),
+});
+
+/**
+ * Checks a listing summary against search criteria. Listings missing a value
+ * that a criterion filters on do not match it.
+ * @param {object} summary As returned by summarizeListing.
+ * @param {object} criteria See SEARCH_LISTINGS_PARAMETERS.
+ * @returns {boolean}
+ */
+export const matchesCriteria = (summary, criteria) => {
+  const atLeast = (value, min) => min == null || (value != null && value >= min);
+  const atMost = (value, max) => max == null || (value != null && value <= max);
+
+  return (
+    atLeast(summary.price, criteria.minPrice) &&
+    atMost(summary.price, criteria.maxPrice) &&
+    atLeast(summary.bedrooms, criteria.minBedrooms) &&
+    atMost(summary.bedrooms, criteria.maxBedrooms) &&
+    atLeast(summary.bathrooms, criteria.minBathrooms) &&
+    atMost(summary.bathrooms, criteria.maxBathrooms) &&
+    atLeast(summary.floorAreaSqft, criteria.minFloorArea) &&
+    atMost(summary.floorAreaSqft, criteria.maxFloorArea) &&
+    (!criteria.city ||
+      includesText(summary.city, criteria.city) ||
+      includesText(summary.address, criteria.city)) &&
+    (!criteria.neighborhood ||
+      includesText(summary.neighborhood, criteria.neighborhood)) &&
+    (!criteria.status || includesText(summary.status, criteria.status))
+  );
+};
+
+/**
+ * Filters, sorts and trims listings by structured criteria.
+ * @param {Array<object>} listings Listings from a snapshot.
+ * @param {object} criteria See SEARCH_LISTINGS_PARAMETERS.
+ * @returns {{total: number, listings: Array<object>}} total counts every match, before `limit`.
+ */
+export const searchListings = (listings, criteria = {}) => {
+  const matches = listings
+    .map(summarizeListing)
+    .filter((summary) => matchesCriteria(summary, criteria));
+
+  const sortValue = SORT_FIELDS[criteria.sortBy];
+  if (sortValue) {
+    const direction = criteria.sortOrder === "desc" ? -1 : 1;
+    // Listings without the sort value go last either way
+    matches.sort((a, b) => {
+      const left = sortValue(a);
+      const right = sortValue(b);
+      if (left == null) return right == null ? 0 : 1;
+      if (right == null) return -1;
+      return (left - right) * direction;
+    });
+  }
+
+  const limit = Math.min(Math.max(criteria.limit || 10, 1), MAX_RESULTS);
+  return { total: matches.length, listings: matches.slice(0, limit) };
+};
+
+// JSON schema of the criteria listings can be filtered by, shared with saved searches
+export const SEARCH_CRITERIA_PROPERTIES = {
+  minPrice: { type: "number", description: "Minimum list price in CAD" },
+  maxPrice: { type: "number", description: "Maximum list price in CAD" },
+  minBedrooms: { type: "integer" },
+  maxBedrooms: { type: "integer" },
+  minBathrooms: { type: "integer" },
+  maxBathrooms: { type: "integer" },
+  minFloorArea: { type: "number", description: "Minimum floor area in sq. ft." },
+  maxFloorArea: { type: "number", description: "Maximum floor area in sq. ft." },
+  city: { type: "string", description: "City, e.g. Burnaby or Vancouver" },
+  neighborhood: { type: "string", description: "Neighbourhood, e.g. Kitsilano" },
+  status: {
+    type: "string",
+    description: "Listing status, e.g. Active, Pending or Sold",
+  },
+};
+
+// JSON schema of the search_listings arguments
+const SEARCH_LISTINGS_PARAMETERS = {
+  type: "object",
+  properties: {
+    ...SEARCH_CRITERIA_PROPERTIES,
+    sortBy: { type: "string", enum: Object.keys(SORT_FIELDS) },
+    sortOrder: { type: "string", enum: ["asc", "desc"] },
+    limit: {
+      type: "integer",
+      description: `Number of listings to return (1-${MAX_RESULTS}, default 10)`,
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Builds the search_listings tool over the latest scraped listings.
+ * @param {ScraperService} scraperService Source of the latest snapshot.
+ * @returns {object} A tool for registerTool.
+ */
+export const createSearchListingsTool = (scraperService) => ({
+  name: "search_listings",
+  description:
+    "Search the current property listings by price range, bedrooms, bathrooms, city, neighbourhood, floor area and status. Use this for any question that filters or sorts listings instead of guessing from files.",
+  parameters: SEARCH_LISTINGS_PARAMETERS,
+  handler: async (criteria) =>
+    searchListings(scraperService.getLatestListings(), criteria),
+});
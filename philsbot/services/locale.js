@@ -0,0 +1,210 @@
+import config from "../config.js";
+
+// Locales the chat supports, with the language name used in prompts and the labels of listing cards
+export const SUPPORTED_LOCALES = {
+  "en-CA": {
+    language: "English",
+    labels: {
+      price: "Price",
+      bedrooms: "Beds",
+      bathrooms: "Baths",
+      floorArea: "Floor area",
+      status: "Status",
+      viewListing: "View listing",
+      areaUnit: "sq ft",
+    },
+    statuses: {},
+  },
+  "zh-CN": {
+    language: "Simplified Chinese",
+    labels: {
+      price: "价格",
+      bedrooms: "卧室",
+      bathrooms: "浴室",
+      floorArea: "室内面积",
+      status: "状态",
+      viewListing: "查看房源",
+      areaUnit: "平方英尺",
+    },
+    statuses: { active: "在售", pending: "待定", sold: "已售" },
+  },
+  "zh-TW": {
+    language: "Traditional Chinese",
+    labels: {
+      price: "價格",
+      bedrooms: "臥室",
+      bathrooms: "浴室",
+      floorArea: "室內面積",
+      status: "狀態",
+      viewListing: "查看物業",
+      areaUnit: "平方呎",
+    },
+    statuses: { active: "出售中", pending: "待定", sold: "已售出" },
+  },
+  "pa-IN": {
+    language: "Punjabi (Gurmukhi script)",
+    labels: {
+      price: "ਕੀਮਤ",
+      bedrooms: "ਬੈੱਡਰੂਮ",
+      bathrooms: "ਬਾਥਰੂਮ",
+      floorArea: "ਫ਼ਰਸ਼ ਦਾ ਖੇਤਰ",
+      status: "ਸਥਿਤੀ",
+      viewListing: "ਲਿਸਟਿੰਗ ਵੇਖੋ",
+      areaUnit: "ਵਰਗ ਫੁੱਟ",
+    },
+    statuses: { active: "ਉਪਲਬਧ", pending: "ਵਿਚਾਰ ਅਧੀਨ", sold: "ਵਿਕ ਗਿਆ" },
+  },
+};
+
+// Other tags that resolve to a supported locale; otherwise the language subtag is matched
+const LOCALE_ALIASES = {
+  zh: "zh-CN",
+  "zh-hans": "zh-CN",
+  "zh-sg": "zh-CN",
+  "zh-hant": "zh-TW",
+  "zh-hk": "zh-TW",
+  "zh-mo": "zh-TW",
+  pa: "pa-IN",
+  "pa-guru": "pa-IN",
+  "pa-ca": "pa-IN",
+};
+
+// Characters written differently in Simplified and Traditional Chinese, as pairs
+const CHINESE_VARIANT_PAIRS = [
+  "这這", "个個", "们們", "来來", "说說", "时時", "为為", "会會", "过過", "还還",
+  "没沒", "发發", "买買", "卖賣", "间間", "价價", "钱錢", "区區", "楼樓", "层層",
+  "车車", "厅廳", "厨廚", "积積", "条條", "问問", "题題", "请請", "谢謝", "关關",
+  "电電", "话話", "贷貸", "税稅", "费費", "带帶", "学學", "门門", "边邊", "现現",
+  "样樣", "么麼", "吗嗎", "处處", "独獨", "栋棟", "联聯", "约約", "经經", "万萬",
+];
+const SIMPLIFIED_CHARACTERS = new Set(CHINESE_VARIANT_PAIRS.map((pair) => pair[0]));
+const TRADITIONAL_CHARACTERS = new Set(CHINESE_VARIANT_PAIRS.map((pair) => pair[1]));
+
+// Latin letters needed before a message counts as English, so "ok" or an MLS number doesn't switch language
+const MIN_LATIN_LETTERS = 8;
+
+const countMatches = (text, pattern) => text.match(pattern)?.length || 0;
+
+/**
+ * Maps a BCP 47 tag to a supported locale, e.g. "zh-Hant-HK" to zh-TW.
+ * @param {string} tag
+ * @returns {string|null} The supported locale, or null when there is none.
+ */
+export const resolveLocale = (tag) => {
+  if (typeof tag !== "string" || !tag.trim()) return null;
+  const normalized = tag.trim().replace(/_/g, "-").toLowerCase();
+  const exact = Object.keys(SUPPORTED_LOCALES).find((locale) => locale.toLowerCase() === normalized);
+  if (exact) return exact;
+  const subtags = normalized.split("-");
+  // Most specific first: "zh-hant-hk", "zh-hant", "zh"
+  for (let length = subtags.length; length > 0; length--) {
+    const prefix = subtags.slice(0, length).join("-");
+    if (LOCALE_ALIASES[prefix]) return LOCALE_ALIASES[prefix];
+    const match = Object.keys(SUPPORTED_LOCALES).find(
+      (locale) => locale.split("-")[0].toLowerCase() === prefix
+    );
+    if (match) return match;
+  }
+  return null;
+};
+
+// The configured default, when it is supported
+export const DEFAULT_LOCALE = resolveLocale(config.locales.default) || "en-CA";
+
+/**
+ * Guesses a message's locale from its script: Gurmukhi is Punjabi, Han is
+ * Chinese (Traditional when it uses more Traditional-only characters), and
+ * Latin is English.
+ * @param {string} text A visitor's message.
+ * @returns {string|null} null when the message is too short to tell.
+ */
+export const detectLocale = (text) => {
+  if (typeof text !== "string") return null;
+  const gurmukhi = countMatches(text, /\p{Script=Gurmukhi}/gu);
+  const han = countMatches(text, /\p{Script=Han}/gu);
+  if (gurmukhi >= 2 && gurmukhi >= han) return "pa-IN";
+  if (han >= 2) {
+    let simplified = 0;
+    let traditional = 0;
+    for (const char of text) {
+      if (SIMPLIFIED_CHARACTERS.has(char)) simplified++;
+      else if (TRADITIONAL_CHARACTERS.has(char)) traditional++;
+    }
+    return traditional > simplified ? "zh-TW" : "zh-CN";
+  }
+  if (!gurmukhi && !han && countMatches(text, /\p{Script=Latin}/gu) >= MIN_LATIN_LETTERS) {
+    return "en-CA";
+  }
+  return null;
+};
+
+/**
+ * Instructions added to an assistant run so it answers in the visitor's language.
+ * @param {string} locale A supported locale.
+ * @returns {string|undefined} undefined for the default locale.
+ */
+export const localeInstructions = (locale) => {
+  if (!SUPPORTED_LOCALES[locale] || locale === DEFAULT_LOCALE) return undefined;
+  const { language } = SUPPORTED_LOCALES[locale];
+  return `The visitor's language is ${language} (${locale}). Reply in ${language} unless they write in another language. Keep MLS numbers, street addresses and URLs exactly as they appear in the listings, and give prices in Canadian dollars.`;
+};
+
+/**
+ * @param {string} locale A supported locale.
+ * @returns {string} The language name used in prompts, e.g. "Simplified Chinese".
+ */
+export const languageName = (locale) =>
+  (SUPPORTED_LOCALES[locale] || SUPPORTED_LOCALES[DEFAULT_LOCALE]).language;
+
+/**
+ * @param {string} locale A supported locale.
+ * @returns {object} Listing card labels in the locale.
+ */
+export const cardLabels = (locale) =>
+  (SUPPORTED_LOCALES[locale] || SUPPORTED_LOCALES[DEFAULT_LOCALE]).labels;
+
+/**
+ * Formats a price in Canadian dollars, e.g. "$1,400,000" or "$14,00,000" (pa-IN).
+ * @param {number|null} amount
+ * @param {string} [locale] Defaults to en-CA, for text that is always English such as feeds and alerts.
+ * @returns {string|null}
+ */
+export const formatPrice = (amount, locale = "en-CA") =>
+  amount == null
+    ? null
+    : new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: "CAD",
+        currencyDisplay: "narrowSymbol",
+        maximumFractionDigits: 0,
+      }).format(amount);
+
+/**
+ * Formats a floor area in square feet, e.g. "850 sq ft" or "850 平方英尺".
+ * @param {number|null} sqft
+ * @param {string} locale
+ * @returns {string|null}
+ */
+export const formatArea = (sqft, locale) =>
+  sqft == null ? null : `${new Intl.NumberFormat(locale).format(sqft)} ${cardLabels(locale).areaUnit}`;
+
+/**
+ * Formats a date, e.g. "Oct 19, 2026" or "2026年10月19日".
+ * @param {Date|number|string} date
+ * @param {string} locale
+ * @returns {string|null}
+ */
+export const formatDate = (date, locale) =>
+  date == null ? null : new Intl.DateTimeFormat(locale, { dateStyle: "medium" }).format(new Date(date));
+
+/**
+ * Translates a listing status such as "Active"; unknown statuses are kept as they are.
+ * @param {string|null} status
+ * @param {string} locale
+ * @returns {string|null}
+ */
+export const formatStatus = (status, locale) => {
+  if (!status) return null;
+  const { statuses } = SUPPORTED_LOCALES[locale] || SUPPORTED_LOCALES[DEFAULT_LOCALE];
+  return statuses[status.trim().toLowerCase()] || status;
+};
@@ -0,0 +1,176 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { readJsonFile, writeJsonFile } from "./utils.js";
+
+// Image formats kept as originals, with the file extension used for each
+const FORMAT_EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp", gif: "gif", avif: "avif" };
+
+/**
+ * Local store for listing photos. Images are downloaded once, stored under
+ * the hash of their content (so the same photo at several URLs is kept once)
+ * and resized into thumbnails. Files are served from `publicUrl`.
+ */
+export class MediaStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir Directory the images are written to.
+   * @param {string} options.indexFile JSON file tracking the stored images, outside `dir`.
+   * @param {string} options.publicUrl URL prefix the directory is served under.
+   * @param {Array<number>} options.thumbnailWidths Widths of the generated thumbnails.
+   * @param {number} options.maxPhotos Most photos stored per listing.
+   * @param {Crawler} options.crawler Downloads the images.
+   */
+  constructor({ dir, indexFile, publicUrl, thumbnailWidths, maxPhotos, crawler }) {
+    this.dir = dir;
+    this.publicUrl = publicUrl.replace(/\/$/, "");
+    this.thumbnailWidths = thumbnailWidths;
+    this.maxPhotos = maxPhotos;
+    this.crawler = crawler;
+    this.indexFile = indexFile;
+    // Where the index was kept before, inside the served directory; moved on the next save
+    this.legacyIndexFile = path.join(dir, "index.json");
+    // urls: source URL -> content hash; images: content hash -> stored image
+    this.index = {
+      urls: {},
+      images: {},
+      ...(readJsonFile(indexFile) || readJsonFile(this.legacyIndexFile, {})),
+    };
+  }
+
+  saveIndex() {
+    writeJsonFile(this.indexFile, this.index);
+    fs.rmSync(this.legacyIndexFile, { force: true });
+  }
+
+  /**
+   * Public URLs of a stored image and its thumbnails.
+   * @param {string} hash Content hash of the image.
+   * @param {string} sourceUrl Where the image was downloaded from.
+   * @returns {object}
+   */
+  describe(hash, sourceUrl) {
+    const image = this.index.images[hash];
+    const thumbnails = Object.fromEntries(
+      this.thumbnailWidths.map((width) => [width, `${this.publicUrl}/thumbs/${width}/${hash}.webp`])
+    );
+    return {
+      hash,
+      url: `${this.publicUrl}/originals/${hash}.${image.extension}`,
+      width: image.width,
+      height: image.height,
+      thumbnailUrl: thumbnails[this.thumbnailWidths[0]] || null,
+      thumbnails,
+      sourceUrl,
+    };
+  }
+
+  /**
+   * Downloads an image unless its URL was stored before, and writes the
+   * original and its thumbnails.
+   * @param {string} sourceUrl
+   * @returns {Promise<object>} As returned by describe.
+   * @throws When the download fails or the file isn't a supported image.
+   */
+  async storeImage(sourceUrl) {
+    const known = this.index.urls[sourceUrl];
+    if (known && this.index.images[known]) return this.describe(known, sourceUrl);
+
+    const { data } = await this.crawler.fetch(sourceUrl, { binary: true });
+    const hash = crypto.createHash("sha256").update(data).digest("hex").slice(0, 32);
+
+    if (!this.index.images[hash]) {
+      const { format, width, height } = await sharp(data).metadata();
+      const extension = FORMAT_EXTENSIONS[format];
+      if (!extension) throw new Error(`Unsupported image format "${format}"`);
+
+      const original = path.join(this.dir, "originals", `${hash}.${extension}`);
+      await fs.promises.mkdir(path.dirname(original), { recursive: true });
+      await fs.promises.writeFile(original, data);
+      for (const thumbWidth of this.thumbnailWidths) {
+        const thumbnail = path.join(this.dir, "thumbs", String(thumbWidth), `${hash}.webp`);
+        await fs.promises.mkdir(path.dirname(thumbnail), { recursive: true });
+        await sharp(data)
+          .rotate()
+          .resize({ width: thumbWidth, withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toFile(thumbnail);
+      }
+      this.index.images[hash] = {
+        extension,
+        width,
+        height,
+        bytes: data.length,
+        storedAt: new Date().toISOString(),
+      };
+    }
+    this.index.urls[sourceUrl] = hash;
+    return this.describe(hash, sourceUrl);
+  }
+
+  /**
+   * Stores the photos of each listing (main image, then the gallery) and adds
+   * them as `photos`. Photos that fail are skipped.
+   * @param {Array<object>} listings Listings with `imageUrl` and `gallery` source URLs.
+   * @param {Function} [report] Receives image and imageFailed progress events.
+   * @returns {Promise<Array<object>>} The listings.
+   */
+  async processListings(listings, report = () => {}) {
+    await Promise.all(
+      listings.map(async (listing) => {
+        const sourceUrls = [...new Set([listing.imageUrl, ...(listing.gallery || [])])]
+          .filter(Boolean)
+          .slice(0, this.maxPhotos);
+        const photos = [];
+        for (const sourceUrl of sourceUrls) {
+          try {
+            photos.push(await this.storeImage(sourceUrl));
+            report({ type: "image", url: sourceUrl });
+          } catch (error) {
+            console.error(`Error storing image ${sourceUrl}:`, error.message);
+            report({ type: "imageFailed", url: sourceUrl, error: error.message });
+          }
+        }
+        // Different URLs may have served the same photo
+        listing.photos = photos.filter(
+          (photo, i) => photos.findIndex((other) => other.hash === photo.hash) === i
+        );
+      })
+    );
+    this.saveIndex();
+    return listings;
+  }
+
+  /**
+   * Removes the images no listing uses any more, such as the photos of
+   * delisted listings, from the index and deletes their files.
+   * @param {Array<object>} listings Listings of the new snapshot, after processListings.
+   * @returns {number} How many images were removed.
+   */
+  prune(listings) {
+    const usedUrls = new Set(
+      listings.flatMap((listing) => [listing.imageUrl, ...(listing.gallery || [])])
+    );
+    // Photos still listed count as used even when this scrape couldn't fetch them
+    const usedHashes = new Set([
+      ...listings.flatMap((listing) => (listing.photos || []).map((photo) => photo.hash)),
+      ...[...usedUrls].map((url) => this.index.urls[url]),
+    ]);
+
+    const unused = Object.keys(this.index.images).filter((hash) => !usedHashes.has(hash));
+    for (const hash of unused) {
+      const { extension } = this.index.images[hash];
+      fs.rmSync(path.join(this.dir, "originals", `${hash}.${extension}`), { force: true });
+      for (const width of this.thumbnailWidths) {
+        fs.rmSync(path.join(this.dir, "thumbs", String(width), `${hash}.webp`), { force: true });
+      }
+      delete this.index.images[hash];
+    }
+    for (const [url, hash] of Object.entries(this.index.urls)) {
+      if (!usedUrls.has(url) || !this.index.images[hash]) delete this.index.urls[url];
+    }
+    this.saveIndex();
+    return unused.length;
+  }
+}
@@ -0,0 +1,487 @@
+import { listingKey } from "./listingDiff.js";
+import { formatAddress } from "./listingSearch.js";
+
+// Payments per year for each payment frequency
+export const PAYMENT_FREQUENCIES = {
+  monthly: 12,
+  semiMonthly: 24,
+  biWeekly: 26,
+  weekly: 52,
+  // Half or a quarter of the monthly payment, paid every two weeks or every week
+  acceleratedBiWeekly: 26,
+  acceleratedWeekly: 52,
+};
+
+// Share of the monthly payment paid each period on an accelerated schedule
+const ACCELERATED_SHARES = { acceleratedBiWeekly: 1 / 2, acceleratedWeekly: 1 / 4 };
+
+// Insured mortgages need a purchase price below this; at or above it the minimum down payment is 20%
+const INSURED_PRICE_LIMIT = 1_500_000;
+
+// Loan-to-value above which mortgage default insurance is required
+const INSURANCE_REQUIRED_LTV = 80;
+
+// CMHC premium rates (% of the loan) by loan-to-value, for a traditional down payment
+const CMHC_PREMIUM_TIERS = [
+  { maxLtv: 65, rate: 0.6 },
+  { maxLtv: 75, rate: 1.7 },
+  { maxLtv: 80, rate: 2.4 },
+  { maxLtv: 85, rate: 2.8 },
+  { maxLtv: 90, rate: 3.1 },
+  { maxLtv: 95, rate: 4.0 },
+];
+
+// Premium surcharge (%) for an insured 30-year amortization
+const CMHC_30_YEAR_SURCHARGE = 0.2;
+
+// Longest amortizations: insured, insured for first-time buyers and new builds, and uninsured
+const MAX_INSURED_AMORTIZATION = 25;
+const MAX_EXTENDED_AMORTIZATION = 30;
+
+// BC property transfer tax rates (%) on the portion of the fair market value in each bracket;
+// residential property pays a further 2% above $3M
+const PTT_BRACKETS = [
+  { upTo: 200_000, rate: 1 },
+  { upTo: 2_000_000, rate: 2 },
+  { upTo: 3_000_000, rate: 3 },
+  { upTo: Infinity, rate: 5 },
+];
+
+// First-time buyers pay no tax on the first $500,000 up to $835,000, phased out by $860,000
+const FIRST_TIME_BUYER_EXEMPTION = { exemptValue: 500_000, fullUpTo: 835_000, partialUpTo: 860_000 };
+
+// Newly built homes pay no tax up to $1,100,000, phased out by $1,150,000
+const NEW_BUILD_EXEMPTION = { fullUpTo: 1_100_000, partialUpTo: 1_150_000 };
+
+// Stress test: qualify at the contract rate plus 2%, or the floor when that is higher
+const QUALIFYING_RATE_BUFFER = 2;
+const QUALIFYING_RATE_FLOOR = 5.25;
+
+// Most gross income (%) housing costs (GDS) and all debt payments (TDS) may take
+const MAX_GDS = 39;
+const MAX_TDS = 44;
+
+// Heating cost assumed in the ratios when none is given
+const DEFAULT_HEATING_MONTHLY = 100;
+
+// Share of strata fees counted in the ratios
+const STRATA_FEE_SHARE = 0.5;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const roundPercent = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Converts a nominal annual rate, compounded semi-annually as Canadian fixed
+ * mortgages are, to the rate per payment period.
+ * @param {number} annualRate Nominal annual rate in percent, e.g. 4.79.
+ * @param {number} paymentsPerYear
+ * @returns {number} The periodic rate as a fraction.
+ */
+export const periodicRate = (annualRate, paymentsPerYear) =>
+  Math.pow(1 + annualRate / 100 / 2, 2 / paymentsPerYear) - 1;
+
+/**
+ * Calculates the payment that pays off a loan over an amortization.
+ * @param {number} principal
+ * @param {number} annualRate Nominal annual rate in percent.
+ * @param {number} amortizationYears
+ * @param {string} [frequency] A key of PAYMENT_FREQUENCIES.
+ * @returns {number} The payment, unrounded.
+ */
+export const paymentAmount = (principal, annualRate, amortizationYears, frequency = "monthly") => {
+  const share = ACCELERATED_SHARES[frequency];
+  if (share) return paymentAmount(principal, annualRate, amortizationYears) * share;
+
+  const paymentsPerYear = PAYMENT_FREQUENCIES[frequency];
+  const payments = amortizationYears * paymentsPerYear;
+  const rate = periodicRate(annualRate, paymentsPerYear);
+  if (rate === 0) return principal / payments;
+  return (principal * rate) / (1 - Math.pow(1 + rate, -payments));
+};
+
+/**
+ * Calculates the smallest down payment allowed: 5% of the first $500,000 and
+ * 10% of the rest, or 20% from $1.5M.
+ * @param {number} price Purchase price.
+ * @returns {number}
+ */
+export const minimumDownPayment = (price) => {
+  if (price >= INSURED_PRICE_LIMIT) return roundCents(price * 0.2);
+  if (price <= 500_000) return roundCents(price * 0.05);
+  return roundCents(25_000 + (price - 500_000) * 0.1);
+};
+
+/**
+ * Calculates the CMHC mortgage default insurance premium, which is added to
+ * the mortgage. Insurance is required when less than 20% is put down.
+ * @param {object} options
+ * @param {number} options.price Purchase price.
+ * @param {number} options.downPayment
+ * @param {number} [options.amortizationYears]
+ * @returns {{required: boolean, loanToValuePercent: number, premiumRatePercent: number, premium: number}}
+ */
+export const mortgageInsurance = ({ price, downPayment, amortizationYears = 25 }) => {
+  const loan = price - downPayment;
+  const ltv = (loan / price) * 100;
+  const tier = CMHC_PREMIUM_TIERS.find(({ maxLtv }) => ltv <= maxLtv);
+  if (ltv <= INSURANCE_REQUIRED_LTV || !tier) {
+    return { required: false, loanToValuePercent: roundPercent(ltv), premiumRatePercent: 0, premium: 0 };
+  }
+  const rate = tier.rate + (amortizationYears > MAX_INSURED_AMORTIZATION ? CMHC_30_YEAR_SURCHARGE : 0);
+  return {
+    required: true,
+    loanToValuePercent: roundPercent(ltv),
+    premiumRatePercent: roundPercent(rate),
+    premium: roundCents((loan * rate) / 100),
+  };
+};
+
+/**
+ * Calculates BC property transfer tax on a residential purchase, less the
+ * first-time buyer or newly built home exemption when one applies. Only one
+ * exemption can be claimed; the larger is used. Eligibility beyond the price
+ * (citizenship, residency, previous ownership) isn't checked.
+ * @param {number} price Fair market value.
+ * @param {object} [options]
+ * @param {boolean} [options.firstTimeBuyer]
+ * @param {boolean} [options.newBuild]
+ * @returns {{tax: number, exemption: number, exemptionType: string|null, payable: number}}
+ */
+export const propertyTransferTax = (price, { firstTimeBuyer = false, newBuild = false } = {}) => {
+  const taxOn = (value) => {
+    let tax = 0;
+    let lower = 0;
+    for (const { upTo, rate } of PTT_BRACKETS) {
+      if (value > lower) tax += ((Math.min(value, upTo) - lower) * rate) / 100;
+      lower = upTo;
+    }
+    return tax;
+  };
+  // Full exemption up to fullUpTo, reduced in proportion to nothing at partialUpTo
+  const phaseOut = (exemption, { fullUpTo, partialUpTo }) => {
+    if (price <= fullUpTo) return exemption;
+    if (price >= partialUpTo) return 0;
+    return (exemption * (partialUpTo - price)) / (partialUpTo - fullUpTo);
+  };
+
+  const tax = taxOn(price);
+  const exemptions = [
+    firstTimeBuyer && {
+      type: "firstTimeBuyer",
+      amount: phaseOut(
+        taxOn(Math.min(price, FIRST_TIME_BUYER_EXEMPTION.exemptValue)),
+        FIRST_TIME_BUYER_EXEMPTION
+      ),
+    },
+    newBuild && { type: "newBuild", amount: phaseOut(tax, NEW_BUILD_EXEMPTION) },
+  ]
+    .filter((exemption) => exemption && exemption.amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+
+  const exemption = exemptions[0];
+  return {
+    tax: roundCents(tax),
+    exemption: roundCents(exemption?.amount || 0),
+    exemptionType: exemption?.type || null,
+    payable: roundCents(tax - (exemption?.amount || 0)),
+  };
+};
+
+/**
+ * Runs a mortgage to the end of its amortization, totalling each year.
+ * Accelerated schedules pay off early; the last payment is only what is owed.
+ * @param {number} principal
+ * @param {number} annualRate Nominal annual rate in percent.
+ * @param {number} payment Payment per period.
+ * @param {string} frequency A key of PAYMENT_FREQUENCIES.
+ * @returns {{years: Array<{year: number, principalPaid: number, interestPaid: number, balance: number}>, payments: number, totalInterest: number}}
+ */
+export const amortizationSchedule = (principal, annualRate, payment, frequency) => {
+  const paymentsPerYear = PAYMENT_FREQUENCIES[frequency];
+  const rate = periodicRate(annualRate, paymentsPerYear);
+  const years = [];
+  let balance = principal;
+  let payments = 0;
+  let totalInterest = 0;
+  let year = null;
+
+  // Sub-cent balances left by floating point rounding count as paid off
+  while (balance > 0.005) {
+    if (payments % paymentsPerYear === 0) {
+      year = { year: payments / paymentsPerYear + 1, principalPaid: 0, interestPaid: 0, balance: 0 };
+      years.push(year);
+    }
+    const interest = balance * rate;
+    const principalPaid = Math.min(payment - interest, balance);
+    if (principalPaid <= 0) throw new Error("The payment doesn't cover the interest");
+    balance -= principalPaid;
+    totalInterest += interest;
+    year.principalPaid += principalPaid;
+    year.interestPaid += interest;
+    year.balance = balance;
+    payments++;
+  }
+
+  return {
+    years: years.map((entry) => ({
+      year: entry.year,
+      principalPaid: roundCents(entry.principalPaid),
+      interestPaid: roundCents(entry.interestPaid),
+      balance: roundCents(Math.max(entry.balance, 0)),
+    })),
+    payments,
+    totalInterest: roundCents(totalInterest),
+  };
+};
+
+/**
+ * Checks calculator input, filling the down payment from a percentage.
+ * @param {object} input See calculateMortgage.
+ * @returns {Array<string>} Problems; empty when the input can be calculated.
+ */
+export const validateMortgageInput = (input) => {
+  const errors = [];
+  const { price, downPayment, interestRate, amortizationYears, termYears, paymentFrequency } = input;
+  if (typeof price !== "number" || !(price > 0)) errors.push("price must be a positive number");
+  if (typeof interestRate !== "number" || interestRate < 0 || interestRate > 30) {
+    errors.push("interestRate must be a percentage between 0 and 30");
+  }
+  if (!(amortizationYears > 0) || amortizationYears > MAX_EXTENDED_AMORTIZATION) {
+    errors.push(`amortizationYears must be between 1 and ${MAX_EXTENDED_AMORTIZATION}`);
+  }
+  if (!Number.isInteger(termYears) || termYears < 1 || termYears > amortizationYears) {
+    errors.push("termYears must be a whole number of years from 1 to the amortization");
+  }
+  if (!PAYMENT_FREQUENCIES[paymentFrequency]) {
+    errors.push(`paymentFrequency must be one of ${Object.keys(PAYMENT_FREQUENCIES).join(", ")}`);
+  }
+  if (errors.length) return errors;
+
+  const minimum = minimumDownPayment(price);
+  if (typeof downPayment !== "number" || downPayment < minimum) {
+    errors.push(`the minimum down payment on this price is $${minimum.toLocaleString("en-CA")}`);
+  } else if (downPayment >= price) {
+    errors.push("downPayment must be less than the price");
+  } else if (
+    price - downPayment > (price * INSURANCE_REQUIRED_LTV) / 100 &&
+    amortizationYears > MAX_INSURED_AMORTIZATION &&
+    !input.firstTimeBuyer &&
+    !input.newBuild
+  ) {
+    errors.push(
+      `insured mortgages (under 20% down) are limited to ${MAX_INSURED_AMORTIZATION} years, or ${MAX_EXTENDED_AMORTIZATION} for first-time buyers and new builds`
+    );
+  }
+  return errors;
+};
+
+/**
+ * Calculates the cost of buying a home in BC: minimum down payment, CMHC
+ * insurance, payments with Canadian semi-annual compounding, the yearly
+ * amortization schedule, what is paid over the term, property transfer tax,
+ * monthly carrying costs and, given an income, the GDS/TDS stress test.
+ * @param {object} input
+ * @param {number} input.price Purchase price.
+ * @param {number} input.downPayment
+ * @param {number} input.interestRate Nominal annual rate in percent.
+ * @param {number} input.amortizationYears
+ * @param {string} input.paymentFrequency A key of PAYMENT_FREQUENCIES.
+ * @param {number} input.termYears Length of the mortgage term.
+ * @param {boolean} [input.firstTimeBuyer]
+ * @param {boolean} [input.newBuild]
+ * @param {number} [input.propertyTaxAnnual]
+ * @param {number} [input.strataFeeMonthly]
+ * @param {number} [input.heatingMonthly]
+ * @param {number} [input.annualIncome] Gross household income.
+ * @param {number} [input.monthlyDebts] Other debt payments (car, loans, cards).
+ * @returns {object} Amounts rounded to the cent; check validateMortgageInput first.
+ */
+export const calculateMortgage = (input) => {
+  const {
+    price,
+    downPayment,
+    interestRate,
+    amortizationYears,
+    paymentFrequency,
+    termYears,
+    firstTimeBuyer = false,
+    newBuild = false,
+    propertyTaxAnnual = 0,
+    strataFeeMonthly = 0,
+    heatingMonthly = DEFAULT_HEATING_MONTHLY,
+    annualIncome = null,
+    monthlyDebts = 0,
+  } = input;
+
+  const insurance = mortgageInsurance({ price, downPayment, amortizationYears });
+  const principal = price - downPayment + insurance.premium;
+  // Rounded up to the cent, as lenders do, so the last payment isn't one past the amortization
+  const payment = Math.ceil(paymentAmount(principal, interestRate, amortizationYears, paymentFrequency) * 100) / 100;
+  const paymentsPerYear = PAYMENT_FREQUENCIES[paymentFrequency];
+  const schedule = amortizationSchedule(principal, interestRate, payment, paymentFrequency);
+  const termEntries = schedule.years.slice(0, termYears);
+  const monthlyMortgage = roundCents((payment * paymentsPerYear) / 12);
+  const propertyTaxMonthly = roundCents(propertyTaxAnnual / 12);
+
+  const qualifyingRate = Math.max(interestRate + QUALIFYING_RATE_BUFFER, QUALIFYING_RATE_FLOOR);
+  const qualifyingPayment = paymentAmount(principal, qualifyingRate, amortizationYears);
+  const housingCosts =
+    qualifyingPayment + propertyTaxMonthly + heatingMonthly + strataFeeMonthly * STRATA_FEE_SHARE;
+  const requiredIncome =
+    Math.max(housingCosts / (MAX_GDS / 100), (housingCosts + monthlyDebts) / (MAX_TDS / 100)) * 12;
+  const affordability = {
+    qualifyingRate: roundPercent(qualifyingRate),
+    qualifyingPaymentMonthly: roundCents(qualifyingPayment),
+    requiredAnnualIncome: roundCents(requiredIncome),
+    maxGdsPercent: MAX_GDS,
+    maxTdsPercent: MAX_TDS,
+  };
+  if (annualIncome) {
+    const gds = (housingCosts / (annualIncome / 12)) * 100;
+    const tds = ((housingCosts + monthlyDebts) / (annualIncome / 12)) * 100;
+    affordability.gdsPercent = roundPercent(gds);
+    affordability.tdsPercent = roundPercent(tds);
+    affordability.qualifies = gds <= MAX_GDS && tds <= MAX_TDS;
+  }
+
+  const transferTax = propertyTransferTax(price, { firstTimeBuyer, newBuild });
+  return {
+    price,
+    downPayment,
+    downPaymentPercent: roundPercent((downPayment / price) * 100),
+    minimumDownPayment: minimumDownPayment(price),
+    mortgageInsurance: insurance,
+    mortgage: {
+      principal: roundCents(principal),
+      interestRate,
+      amortizationYears,
+      paymentFrequency,
+      payment,
+      // Accelerated schedules pay off sooner than the amortization they are based on
+      payoffYears: roundPercent(schedule.payments / paymentsPerYear),
+      totalInterest: schedule.totalInterest,
+    },
+    term: {
+      years: termEntries.length,
+      principalPaid: roundCents(termEntries.reduce((sum, entry) => sum + entry.principalPaid, 0)),
+      interestPaid: roundCents(termEntries.reduce((sum, entry) => sum + entry.interestPaid, 0)),
+      balanceAtEnd: termEntries.at(-1)?.balance ?? roundCents(principal),
+    },
+    monthlyCosts: {
+      mortgage: monthlyMortgage,
+      propertyTax: propertyTaxMonthly,
+      strataFee: roundCents(strataFeeMonthly),
+      total: roundCents(monthlyMortgage + propertyTaxMonthly + strataFeeMonthly),
+    },
+    propertyTransferTax: transferTax,
+    // The down payment plus the transfer tax; legal fees and adjustments come on top
+    cashToClose: roundCents(downPayment + transferTax.payable),
+    affordability,
+    amortizationSchedule: schedule.years,
+  };
+};
+
+/**
+ * Builds the mortgage_calculator tool. When given a listing, its price,
+ * property taxes and strata fee from the latest snapshot are used unless the
+ * arguments override them.
+ * @param {ScraperService} scraperService Source of the latest snapshot.
+ * @param {object} defaults
+ * @param {number} defaults.interestRate Rate used when the visitor gives none, in percent.
+ * @param {number} defaults.amortizationYears
+ * @param {number} defaults.termYears
+ * @returns {object} A tool for registerTool.
+ */
+export const createMortgageCalculatorTool = (scraperService, defaults) => ({
+  name: "mortgage_calculator",
+  description:
+    "Calculate exact mortgage payments and buying costs in BC: minimum down payment, CMHC insurance, payments with Canadian semi-annual compounding, amortization schedule, property transfer tax with first-time buyer and new build exemptions, monthly costs including property taxes and strata fees, and the stress test against an income. Use it for any payment or affordability question and quote its figures instead of estimating. Pass listingId or mlsNumber to use a listing's price, taxes and strata fee.",
+  parameters: {
+    type: "object",
+    properties: {
+      listingId: { type: "string" },
+      mlsNumber: { type: "string" },
+      price: { type: "number", description: "Purchase price in CAD; defaults to the listing's price" },
+      downPayment: { type: "number", description: "Down payment in CAD" },
+      downPaymentPercent: {
+        type: "number",
+        description: "Down payment as a percentage of the price, when no amount is given; defaults to the minimum",
+      },
+      interestRate: {
+        type: "number",
+        description: `Annual interest rate in percent; defaults to ${defaults.interestRate}`,
+      },
+      amortizationYears: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_EXTENDED_AMORTIZATION,
+        description: `Defaults to ${defaults.amortizationYears}`,
+      },
+      termYears: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_EXTENDED_AMORTIZATION,
+        description: `Defaults to ${defaults.termYears}; no longer than the amortization`,
+      },
+      paymentFrequency: { type: "string", enum: Object.keys(PAYMENT_FREQUENCIES) },
+      firstTimeBuyer: { type: "boolean" },
+      newBuild: { type: "boolean", description: "Newly built home" },
+      propertyTaxAnnual: { type: "number", description: "Defaults to the listing's taxes" },
+      strataFeeMonthly: { type: "number", description: "Defaults to the listing's strata fee" },
+      annualIncome: { type: "number", description: "Gross household income, for the stress test" },
+      monthlyDebts: { type: "number", description: "Other monthly debt payments" },
+    },
+    additionalProperties: false,
+  },
+  handler: async (args) => {
+    let listing = null;
+    if (args.listingId || args.mlsNumber) {
+      listing = scraperService
+        .getLatestListings()
+        .find(
+          (candidate) =>
+            (args.listingId && listingKey(candidate) === args.listingId) ||
+            (args.mlsNumber && candidate.details?.mlsNumber === args.mlsNumber.toUpperCase())
+        );
+      if (!listing) return { errors: ["listing not found in the current listings"] };
+    }
+
+    const price = args.price ?? listing?.price?.amount;
+    const input = {
+      ...args,
+      price,
+      interestRate: args.interestRate ?? defaults.interestRate,
+      amortizationYears: args.amortizationYears ?? defaults.amortizationYears,
+      termYears: args.termYears ?? defaults.termYears,
+      paymentFrequency: args.paymentFrequency || "monthly",
+      propertyTaxAnnual: args.propertyTaxAnnual ?? listing?.detailedInfo?.taxes?.amount ?? 0,
+      strataFeeMonthly: args.strataFeeMonthly ?? listing?.detailedInfo?.strataFee?.monthly ?? 0,
+    };
+    if (input.downPayment == null && typeof price === "number" && price > 0) {
+      input.downPayment =
+        args.downPaymentPercent != null
+          ? roundCents((price * args.downPaymentPercent) / 100)
+          : minimumDownPayment(price);
+    }
+
+    const errors = validateMortgageInput(input);
+    if (errors.length) return { errors };
+    return {
+      ...(listing && {
+        listing: {
+          listingId: listing.listingId,
+          mlsNumber: listing.details?.mlsNumber || null,
+          address: formatAddress(listing.location),
+        },
+      }),
+      ...calculateMortgage(input),
+      // Tell the visitor which figures were assumed rather than given
+      assumed: [
+        args.interestRate == null && "interestRate",
+        args.downPayment == null && args.downPaymentPercent == null && "downPayment",
+        args.amortizationYears == null && "amortizationYears",
+      ].filter(Boolean),
+    };
+  },
+});
@@ -0,0 +1,23 @@
+import { LogNotifier } from "./logNotifier.js";
+import { SmtpNotifier } from "./smtpNotifier.js";
+import { WebhookNotifier } from "./webhookNotifier.js";
+
+/**
+ * Creates the notifier that delivers saved search alerts, as selected in config.
+ * A notifier has an async `notify(alert)`; see SearchAlerts for the alert shape.
+ * @param {object} options The `alerts` section of config.
+ * @returns {LogNotifier|SmtpNotifier|WebhookNotifier}
+ */
+export function createNotifier({ notifier, smtpUrl, from, webhookUrl, webhookSecret }) {
+  switch (notifier) {
+    case "log":
+      return new LogNotifier();
+    case "smtp":
+      return new SmtpNotifier({ smtpUrl, from });
+    case "webhook":
+      if (!webhookUrl) throw new Error("ALERT_WEBHOOK_URL is required for the webhook notifier");
+      return new WebhookNotifier({ url: webhookUrl, secret: webhookSecret });
+    default:
+      throw new Error(`Unknown alert notifier "${notifier}"`);
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Writes alerts to the console instead of delivering them; the default, for
+ * local development.
+ */
+export class LogNotifier {
+  constructor() {
+    this.name = "log";
+  }
+
+  async notify({ search, subject, text }) {
+    console.log(
+      `Alert for saved search ${search.id} (${search.email || search.phone}): ${subject}\n${text}`
+    );
+  }
+}
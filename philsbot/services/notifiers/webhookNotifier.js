@@ -0,0 +1,50 @@
+import crypto from "crypto";
+import axios from "axios";
+
+/**
+ * POSTs alerts as JSON to a webhook, e.g. an automation that texts or emails
+ * the visitor. With a secret, the body is signed in X-PhilsBot-Signature as
+ * "sha256=<hex HMAC>".
+ */
+export class WebhookNotifier {
+  /**
+   * @param {object} options
+   * @param {string} options.url Webhook URL.
+   * @param {string} [options.secret] Key the body is signed with.
+   * @param {number} [options.timeoutMs]
+   */
+  constructor({ url, secret, timeoutMs = 10000 }) {
+    this.name = "webhook";
+    this.url = url;
+    this.secret = secret;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @param {object} alert See SearchAlerts.
+   * @throws When the webhook doesn't answer with a 2xx status.
+   */
+  async notify({ type, search, listings, confirmUrl, unsubscribeUrl, subject, text }) {
+    const body = JSON.stringify({
+      type: `saved_search_${type}`,
+      search: {
+        id: search.id,
+        name: search.name,
+        email: search.email,
+        phone: search.phone,
+        criteria: search.criteria,
+      },
+      subject,
+      text,
+      listings,
+      confirmUrl,
+      unsubscribeUrl,
+    });
+    const headers = { "Content-Type": "application/json" };
+    if (this.secret) {
+      const signature = crypto.createHmac("sha256", this.secret).update(body).digest("hex");
+      headers["X-PhilsBot-Signature"] = `sha256=${signature}`;
+    }
+    await axios.post(this.url, body, { headers, timeout: this.timeoutMs });
+  }
+}
@@ -1,19 +1,12 @@
 import { cleanText, parsePrice, parseDimensions } from './utils.js';
+import { normalizeAddress } from './addressParser.js';
 
-export const parseAddress = (addressString) => {
-  const parts = addressString.split(' ');
-  const postalCode = parts.find(part => /^[A-Z]\d[A-Z]\s?\d[A-Z]\d$/.test(part)) || '';
-  const city = parts.find(part => ['Burnaby', 'Vancouver', 'Richmond'].includes(part)) || '';
-
-  return {
-    streetNumber: parts[0],
-    streetName: parts[1],
-    streetType: parts[2],
-    city,
-    postalCode,
-    neighborhood: parts.slice(parts.indexOf(postalCode) + 1).join(' ') || ''
-  };
-};
+/**
+ * Parses a listing address into its parts; see normalizeAddress.
+ * @param {string} addressString e.g. "#1203 - 1500 HOWE ST Vancouver West Yaletown V6Z 2N1".
+ * @returns {object}
+ */
+export const parseAddress = (addressString) => normalizeAddress(addressString);
 
 export const extractDetailsFromSummary = (summaryText) => {
   const details = {};
@@ -41,110 +34,334 @@ export const extractDetailsFromSummary = (summaryText) => {
   return details;
 };
 
-export const extractListingInfo = ($, element) => {
-  const imgElement = $(element).find('.mrp-listing-main-image-container img');
+// Markup of myRealPage listing sites; sources override these per site
+export const LISTING_SELECTORS = {
+  result: 'li.mrp-listing-result',
+  listingIdAttr: 'data-listing-id',
+  shareUrlAttr: 'data-share-url',
+  image: '.mrp-listing-main-image-container img',
+  summary: '.mrp-listing-summary-outer',
+  price: '.mrp-listing-price-container',
+  status: '.status-line span',
+  address: '.mrp-listing-address-info',
+  detailContainer: '.mrp-listing-info-container',
+  gallery: '.mrp-listing-photos, .mrp-listing-gallery, [class*="gallery"], [class*="slideshow"]'
+};
+
+// Image URLs in links and srcset candidates, by file extension
+const IMAGE_URL_PATTERN = /\.(jpe?g|png|webp|gif)(\?|#|$)/i;
+
+// Picks the widest candidate of a srcset attribute
+const largestSrcsetUrl = (srcset) =>
+  srcset
+    .split(',')
+    .map((candidate) => candidate.trim().split(/\s+/))
+    .filter(([url]) => url)
+    .sort((a, b) => (parseFloat(b[1]) || 0) - (parseFloat(a[1]) || 0))[0]?.[0];
+
+/**
+ * Collects the photo gallery of a listing detail page: full-size links
+ * (lightbox anchors) and lazy-loaded or srcset images inside the gallery.
+ * @param {CheerioAPI} $ The loaded detail page.
+ * @param {string} pageUrl URL of the page, for resolving relative links.
+ * @param {string} [selector] Gallery containers; defaults to LISTING_SELECTORS.gallery.
+ * @returns {Array<string>} Absolute image URLs in page order, without duplicates.
+ */
+export const extractGallery = ($, pageUrl, selector = LISTING_SELECTORS.gallery) => {
+  const urls = [];
+  const add = (url) => {
+    if (!url || url.startsWith('data:')) return;
+    try {
+      const absolute = new URL(url.trim(), pageUrl).toString();
+      if (!urls.includes(absolute)) urls.push(absolute);
+    } catch (error) {
+      // Not a usable URL
+    }
+  };
+
+  $(selector).each((i, gallery) => {
+    $(gallery).find('a[href]').each((j, link) => {
+      const href = $(link).attr('href');
+      if (IMAGE_URL_PATTERN.test(href)) add(href);
+    });
+    $(gallery).find('img').each((j, img) => {
+      // Thumbnails that link to the full-size photo were added with the link
+      if (IMAGE_URL_PATTERN.test($(img).closest('a[href]').attr('href') || '')) return;
+      const srcset = $(img).attr('data-srcset') || $(img).attr('srcset');
+      add(
+        $(img).attr('data-full') ||
+        $(img).attr('data-large') ||
+        (srcset && largestSrcsetUrl(srcset)) ||
+        $(img).attr('data-src') ||
+        $(img).attr('data-lazy') ||
+        $(img).attr('src')
+      );
+    });
+  });
+
+  return urls;
+};
+
+// Accepts a latitude/longitude pair only when both are numbers within range
+const toCoordinates = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  if (lat === 0 && lng === 0) return null;
+  return { latitude: lat, longitude: lng };
+};
+
+/**
+ * Reads the map position of a listing detail page from JSON-LD GeoCoordinates,
+ * geo meta tags or data-lat/data-lng attributes on the map element.
+ * @param {CheerioAPI} $ The loaded detail page.
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+export const extractCoordinates = ($) => {
+  let coordinates = null;
+  $('script[type="application/ld+json"]').each((i, script) => {
+    if (coordinates) return;
+    try {
+      const geo = JSON.stringify(JSON.parse($(script).text())).match(
+        /"latitude":"?(-?[\d.]+)"?,"longitude":"?(-?[\d.]+)"?/
+      );
+      if (geo) coordinates = toCoordinates(geo[1], geo[2]);
+    } catch (error) {
+      // Not valid JSON-LD
+    }
+  });
+  if (coordinates) return coordinates;
+
+  const meta = (names) =>
+    names.map((name) => $(`meta[property="${name}"], meta[name="${name}"]`).attr('content')).find(Boolean);
+  coordinates = toCoordinates(
+    meta(['place:location:latitude', 'og:latitude']),
+    meta(['place:location:longitude', 'og:longitude'])
+  );
+  if (coordinates) return coordinates;
+
+  // "49.28;-123.12" (geo.position) or "49.28, -123.12" (ICBM)
+  const position = meta(['geo.position', 'ICBM'])?.split(/[;,]/);
+  if (position) coordinates = toCoordinates(position[0], position[1]);
+  if (coordinates) return coordinates;
+
+  const map = $('[data-lat][data-lng], [data-latitude][data-longitude]').first();
+  return map.length
+    ? toCoordinates(map.attr('data-lat') ?? map.attr('data-latitude'), map.attr('data-lng') ?? map.attr('data-longitude'))
+    : null;
+};
+
+export const extractListingInfo = ($, element, selectors = LISTING_SELECTORS) => {
+  const imgElement = $(element).find(selectors.image);
   const imageUrl = imgElement.attr('data-src') || imgElement.attr('src');
-  const listingDetailsText = cleanText($(element).find('.mrp-listing-summary-outer').text());
+  const listingDetailsText = cleanText($(element).find(selectors.summary).text());
   const details = extractDetailsFromSummary(listingDetailsText);
+  const priceText = $(element).find(selectors.price).text().trim();
 
   return {
-    listingId: $(element).attr('data-listing-id'),
-    shareUrl: $(element).attr('data-share-url'),
+    listingId: $(element).attr(selectors.listingIdAttr),
+    shareUrl: $(element).attr(selectors.shareUrlAttr),
     price: {
-      amount: parsePrice($(element).find('.mrp-listing-price-container').text().trim()),
-      formatted: $(element).find('.mrp-listing-price-container').text().trim()
+      amount: parsePrice(priceText),
+      formatted: priceText
     },
-    status: $(element).find('.status-line span').text().trim(),
-    location: parseAddress(cleanText($(element).find('.mrp-listing-address-info').text())),
+    status: $(element).find(selectors.status).text().trim(),
+    location: parseAddress(cleanText($(element).find(selectors.address).text())),
     imageUrl: imageUrl ? imageUrl.trim() : null,
     details
   };
 };
 
-export const parseDetailedInfo = (detailedInfo) => {
-  if (!detailedInfo) return null;
+// Labels as they appear on detail pages, lowercased and without the trailing colon
+const normalizeLabel = (label) => cleanText(label).replace(/:$/, '').toLowerCase();
 
-  return {
-    description: extractDescription(detailedInfo),
-    features: {
-      yearBuilt: extractYearBuilt(detailedInfo),
-      parking: extractParking(detailedInfo),
-      heating: extractHeating(detailedInfo),
-      amenities: extractAmenities(detailedInfo),
-      construction: extractConstruction(detailedInfo)
-    },
-    rooms: extractRooms(detailedInfo),
-    taxes: extractTaxes(detailedInfo),
-    lotInfo: extractLotInfo(detailedInfo)
+/**
+ * Collects the label/value pairs of a listing detail page. Handles definition
+ * lists, table rows (several pairs per row are allowed), label/value class
+ * pairs and inline "<strong>Label:</strong> value" text.
+ * @param {CheerioAPI} $ The loaded page.
+ * @param {Cheerio} container The `.mrp-listing-info-container` element.
+ * @returns {Map<string, string>} Values keyed by normalized label; the first occurrence wins.
+ */
+const collectFields = ($, container) => {
+  const fields = new Map();
+  const add = (label, value) => {
+    const key = normalizeLabel(label);
+    const text = cleanText(value || '');
+    if (key && text && !fields.has(key)) fields.set(key, text);
   };
-};
 
-const extractDescription = (text) => {
-  const descEnd = text.indexOf('Documents & Links:');
-  return text
-    .substring(0, descEnd > 0 ? descEnd : text.indexOf('General Info:'))
-    .trim();
-};
+  container.find('dt').each((i, dt) => {
+    add($(dt).text(), $(dt).nextAll('dd').first().text());
+  });
 
-const extractYearBuilt = (text) => {
-  const match = text.match(/Year built:\s*(\d{4})/);
-  return match ? parseInt(match[1]) : null;
-};
+  container.find('tr').each((i, tr) => {
+    const cells = $(tr).children('th, td');
+    for (let c = 0; c + 1 < cells.length; c += 2) {
+      const label = cleanText(cells.eq(c).text());
+      if (label.endsWith(':')) add(label, cells.eq(c + 1).text());
+    }
+  });
 
-const extractParking = (text) => {
-  const match = text.match(/Parking:([^.]+)/);
-  return match ? match[1].trim().split(',').map(p => p.trim()) : [];
-};
+  container.find('[class*="label"]').each((i, element) => {
+    const value = $(element).nextAll('[class*="value"]').first();
+    if (value.length) add($(element).text(), value.text());
+  });
 
-const extractHeating = (text) => {
-  const match = text.match(/Heating:([^.]+)/);
-  return match ? match[1].trim().split(',').map(h => h.trim()) : [];
-};
+  container.find('strong, b, label').each((i, element) => {
+    const label = cleanText($(element).text());
+    const parentText = cleanText($(element).parent().text());
+    if (label.endsWith(':') && parentText.startsWith(label)) {
+      add(label, parentText.slice(label.length));
+    }
+  });
 
-const extractAmenities = (text) => {
-  const match = text.match(/Features Included:([^.]+)/);
-  return match ? match[1].trim().split(',').map(a => a.trim()) : [];
+  return fields;
 };
 
-const extractConstruction = (text) => {
-  const match = text.match(/Construction:([^.]+)/);
-  return match ? match[1].trim() : null;
+// Returns the value of the first label present
+const findField = (fields, labels) => {
+  for (const label of labels) {
+    if (fields.has(label)) return fields.get(label);
+  }
+  return null;
 };
 
-const extractRooms = (text) => {
+// Splits a comma separated value into a list
+const splitList = (value) =>
+  value ? value.split(',').map((item) => item.trim()).filter(Boolean) : [];
+
+/**
+ * Reads room tables: any table whose header has Floor, Type and Dimensions
+ * columns. Rows may list several rooms side by side, one group of columns each.
+ * @param {CheerioAPI} $ The loaded page.
+ * @param {Cheerio} container The `.mrp-listing-info-container` element.
+ * @returns {Array<{floor: string, type: string, dimensions: {length: string, width: string}}>}
+ */
+const extractRooms = ($, container) => {
   const rooms = [];
-  const roomSection = text.match(/Room Information:(.+?)(?=Bathrooms:)/s);
-  
-  if (roomSection) {
-    const roomLines = roomSection[1].split('\n');
-    for (const line of roomLines) {
-      const roomMatch = line.match(/(\w+)\s+(\w+\s*\w*)\s+([\d'\"×]+)\s*×\s*([\d'\"]+)/);
-      if (roomMatch) {
+
+  container.find('table').each((i, table) => {
+    const rows = $(table).find('tr');
+    const headers = rows
+      .first()
+      .children('th, td')
+      .map((j, cell) => normalizeLabel($(cell).text()))
+      .get();
+
+    const groups = [];
+    headers.forEach((header, index) => {
+      if (header !== 'floor') return;
+      const type = headers.indexOf('type', index);
+      const dimensions = headers.findIndex(
+        (label, column) => column > index && label.startsWith('dimension')
+      );
+      if (type > index && dimensions > index) groups.push({ floor: index, type, dimensions });
+    });
+    if (!groups.length) return;
+
+    rows.slice(1).each((j, row) => {
+      const cells = $(row).children('th, td').map((k, cell) => cleanText($(cell).text())).get();
+      for (const group of groups) {
+        // Rows without a cell for every column of the group, such as notes spanning the table
+        if (!cells[group.type] || cells.length <= group.dimensions) continue;
         rooms.push({
-          floor: roomMatch[1],
-          type: roomMatch[2],
-          dimensions: parseDimensions(`${roomMatch[3]} × ${roomMatch[4]}`)
+          floor: cells[group.floor] || '',
+          type: cells[group.type],
+          dimensions: parseDimensions(
+            cells[group.dimensions].replace(/\s*x\s*/i, ' × ')
+          ),
         });
       }
-    }
-  }
+    });
+  });
+
   return rooms;
 };
 
-const extractTaxes = (text) => {
-  const match = text.match(/Taxes:\s*\$?([\d,]+\.?\d*)\s*\/\s*(\d{4})/);
-  return match ? {
-    amount: parseFloat(match[1].replace(/,/g, '')),
-    year: parseInt(match[2])
-  } : null;
+const parseYearBuilt = (value) => {
+  const match = value?.match(/\b(\d{4})\b/);
+  return match ? parseInt(match[1]) : null;
+};
+
+// "$4,123.45 / 2023", or the amount and year under separate labels
+const parseTaxes = (amountValue, yearValue) => {
+  const amount = amountValue?.match(/\$?\s*([\d,]+(?:\.\d+)?)/);
+  if (!amount) return null;
+  const year = amountValue.match(/\/\s*(\d{4})/) || yearValue?.match(/(\d{4})/);
+  return {
+    amount: parseFloat(amount[1].replace(/,/g, '')),
+    year: year ? parseInt(year[1]) : null
+  };
+};
+
+// "$452.31 / month", "$1,350 quarterly"; stored as a monthly amount
+const parseStrataFee = (value) => {
+  const amount = value?.match(/\$?\s*([\d,]+(?:\.\d+)?)/);
+  if (!amount) return null;
+  const fee = parseFloat(amount[1].replace(/,/g, ''));
+  const divisor = /quarter/i.test(value) ? 3 : /year|annual/i.test(value) ? 12 : 1;
+  return { monthly: Math.round((fee / divisor) * 100) / 100 };
 };
 
-const extractLotInfo = (text) => {
-  const lotAreaMatch = text.match(/Lot Area:\s*([\d,]+)\s*sq\.\s*ft\./);
+// "5,000 sq. ft. (464.52 m2)"
+const parseArea = (value) => {
+  const sqft = value?.match(/([\d,]+(?:\.\d+)?)\s*sq\.?\s*ft/i);
+  if (!sqft) return null;
   return {
-    area: lotAreaMatch ? {
-      sqft: parseInt(lotAreaMatch[1].replace(/,/g, '')),
-      sqm: parseInt(text.match(/(\d+\.?\d*)\s*m2/)?.[1] || '0')
-    } : null
+    sqft: parseInt(sqft[1].replace(/,/g, '')),
+    sqm: parseFloat(value.match(/([\d,]+(?:\.\d+)?)\s*m2/i)?.[1].replace(/,/g, '') || '0')
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Reads the listing description: the description element when the page has one,
+ * otherwise the text before the first section heading.
+ * @param {CheerioAPI} $ The loaded page.
+ * @param {Cheerio} container The `.mrp-listing-info-container` element.
+ * @returns {string}
+ */
+const extractDescription = ($, container) => {
+  const description = container.find('[class*="description"]').first();
+  if (description.length) return cleanText(description.text());
+
+  const text = cleanText(container.text());
+  const end = text.search(/Documents & Links:|General Info:/);
+  return (end > 0 ? text.substring(0, end) : text).trim();
+};
+
+/**
+ * Parses a listing detail page.
+ * @param {CheerioAPI} $ The loaded detail page.
+ * @param {Cheerio} container The `.mrp-listing-info-container` element.
+ * @returns {object|null} null when the page has no listing info.
+ */
+export const parseDetailedInfo = ($, container) => {
+  if (!container || !container.length) return null;
+  const fields = collectFields($, container);
+
+  return {
+    description: extractDescription($, container),
+    features: {
+      yearBuilt: parseYearBuilt(findField(fields, ['year built', 'built'])),
+      parking: splitList(findField(fields, ['parking', 'parking access'])),
+      heating: splitList(findField(fields, ['heating', 'fuel/heating'])),
+      amenities: splitList(findField(fields, ['features included', 'amenities', 'features'])),
+      construction: findField(fields, ['construction', 'type of construction'])
+    },
+    rooms: extractRooms($, container),
+    taxes: parseTaxes(
+      findField(fields, ['taxes', 'gross taxes']),
+      findField(fields, ['tax year', 'for tax year'])
+    ),
+    strataFee: parseStrataFee(
+      findField(fields, [
+        'strata maintenance fees', 'strata fees', 'strata fee',
+        'maintenance fees', 'maint. fees', 'maint. fee'
+      ])
+    ),
+    lotInfo: {
+      area: parseArea(findField(fields, ['lot area', 'lot size']))
+    }
+  };
+};
@@ -0,0 +1,21 @@
+import { OpenAIProvider } from "./openaiProvider.js";
+import { MockProvider } from "./mockProvider.js";
+
+/**
+ * Creates the LLM provider selected in config.
+ * @param {object} options The `llm` section of config.
+ * @returns {OpenAIProvider|MockProvider}
+ */
+export function createProvider({ provider, apiKey, mockScriptFile, mockChunkDelayMs }) {
+  switch (provider) {
+    case "openai":
+      return new OpenAIProvider({ apiKey });
+    case "mock":
+      return new MockProvider({
+        scriptFile: mockScriptFile,
+        chunkDelayMs: mockChunkDelayMs,
+      });
+    default:
+      throw new Error(`Unknown LLM provider "${provider}"`);
+  }
+}
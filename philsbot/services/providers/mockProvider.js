@@ -0,0 +1,264 @@
+import { EventEmitter } from "events";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { readJsonFile } from "../utils.js";
+import { toChatMessage } from "./openaiProvider.js";
+
+// Script used when no MOCK_PROVIDER_SCRIPT file is configured
+const DEFAULT_SCRIPT = {
+  replies: [
+    "This is a mock reply from the offline provider. Ask me about listings, neighbourhoods or booking a viewing.",
+  ],
+  completions: [
+    JSON.stringify({
+      quick_replies: [
+        "Tell me more",
+        "Show me similar listings",
+        "How do I book a viewing?",
+      ],
+    }),
+  ],
+};
+
+/**
+ * Deterministic, offline LLM provider for local development and tests.
+ * Replies and completions are taken in turn from a script, and runs emit
+ * the same messageCreated/textCreated/textDelta/end events as the OpenAI stream.
+ */
+export class MockProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.scriptFile] JSON file with `replies` and `completions` arrays.
+   * @param {number} [options.chunkSize] Characters per textDelta event.
+   * @param {number} [options.chunkDelayMs] Pause between textDelta events, to simulate a slow stream.
+   */
+  constructor({ scriptFile, chunkSize = 12, chunkDelayMs = 0 } = {}) {
+    this.name = "mock";
+    this.script = { ...DEFAULT_SCRIPT, ...(scriptFile && readJsonFile(scriptFile, {})) };
+    this.chunkSize = chunkSize;
+    this.chunkDelayMs = chunkDelayMs;
+    this.threads = new Map();
+    this.files = new Map();
+    this.vectorStores = new Map();
+    this.pendingRuns = new Map();
+    this.replyIndex = 0;
+    this.completionIndex = 0;
+  }
+
+  nextReply() {
+    const { replies } = this.script;
+    return replies[this.replyIndex++ % replies.length];
+  }
+
+  nextCompletion() {
+    const { completions } = this.script;
+    return completions[this.completionIndex++ % completions.length];
+  }
+
+  getThread(threadId) {
+    const thread = this.threads.get(threadId);
+    if (!thread) throw new Error(`No thread found with id '${threadId}'`);
+    return thread;
+  }
+
+  async retrieveAssistant(assistantId) {
+    return { id: assistantId, object: "assistant", name: "Mock assistant" };
+  }
+
+  async createThread() {
+    const thread = { id: `thread_mock_${uuidv4()}`, messages: [] };
+    this.threads.set(thread.id, thread);
+    return { id: thread.id, object: "thread" };
+  }
+
+  async deleteThread(threadId) {
+    return { id: threadId, deleted: this.threads.delete(threadId) };
+  }
+
+  async addMessage(threadId, { role, content }) {
+    const message = {
+      id: `msg_mock_${uuidv4()}`,
+      role,
+      content: [{ type: "text", text: { value: content, annotations: [] } }],
+      created_at: Math.floor(Date.now() / 1000),
+    };
+    this.getThread(threadId).messages.push(message);
+    return message;
+  }
+
+  async getMessage(threadId, messageId) {
+    const message = this.getThread(threadId).messages.find((m) => m.id === messageId);
+    if (!message) {
+      throw Object.assign(new Error(`No message found with id '${messageId}'`), { status: 404 });
+    }
+    return toChatMessage(message);
+  }
+
+  async listMessages(threadId, { order = "asc", limit = 20, after } = {}) {
+    let messages = [...this.getThread(threadId).messages];
+    if (order === "desc") messages.reverse();
+    if (after) {
+      messages = messages.slice(messages.findIndex((m) => m.id === after) + 1);
+    }
+    return {
+      messages: messages.slice(0, limit).map(toChatMessage),
+      hasMore: messages.length > limit,
+    };
+  }
+
+  /**
+   * Streams the next scripted reply. A reply may be a string, or
+   * `{ toolCalls: [{ name, arguments }], reply }` to make the run require
+   * action first and stream `reply` once the tool outputs are submitted.
+   */
+  streamRun(threadId, { assistantId }) {
+    const entry = this.nextReply();
+    if (typeof entry === "string") {
+      return this.streamText(threadId, assistantId, entry);
+    }
+
+    const run = {
+      id: `run_mock_${uuidv4()}`,
+      thread_id: threadId,
+      assistant_id: assistantId,
+      status: "requires_action",
+      required_action: {
+        type: "submit_tool_outputs",
+        submit_tool_outputs: {
+          tool_calls: entry.toolCalls.map((toolCall) => ({
+            id: `call_mock_${uuidv4()}`,
+            type: "function",
+            function: {
+              name: toolCall.name,
+              arguments: JSON.stringify(toolCall.arguments || {}),
+            },
+          })),
+        },
+      },
+    };
+    this.pendingRuns.set(run.id, { run, reply: entry.reply || "" });
+
+    const stream = this.createStream(run);
+    setImmediate(() => {
+      stream.emit("event", { event: "thread.run.requires_action", data: run });
+      stream.emit("end");
+    });
+    return stream;
+  }
+
+  submitToolOutputs(threadId, runId, toolOutputs) {
+    const pending = this.pendingRuns.get(runId);
+    if (!pending) throw new Error(`No run requires action with id '${runId}'`);
+    this.pendingRuns.delete(runId);
+    // Kept so tests can check what the tools returned
+    this.lastToolOutputs = toolOutputs;
+    return this.streamText(threadId, pending.run.assistant_id, pending.reply, pending.run);
+  }
+
+  createStream(run) {
+    const stream = new EventEmitter();
+    stream.aborted = false;
+    stream.abort = () => {
+      stream.aborted = true;
+    };
+    stream.currentRun = () => run;
+    return stream;
+  }
+
+  streamText(threadId, assistantId, reply, run = { id: `run_mock_${uuidv4()}` }) {
+    const stream = this.createStream(run);
+
+    // Emit on later ticks so callers can attach listeners first, like the real stream
+    setImmediate(async () => {
+      try {
+        const message = await this.addMessage(threadId, { role: "assistant", content: "" });
+        message.assistant_id = assistantId;
+        stream.emit("messageCreated", message);
+        const snapshot = { value: "", annotations: [] };
+        stream.emit("textCreated", { ...snapshot });
+        for (let i = 0; i < reply.length && !stream.aborted; i += this.chunkSize) {
+          const textDelta = { value: reply.slice(i, i + this.chunkSize) };
+          snapshot.value += textDelta.value;
+          stream.emit("textDelta", textDelta, { ...snapshot });
+          await new Promise((resolve) =>
+            this.chunkDelayMs
+              ? setTimeout(resolve, this.chunkDelayMs)
+              : setImmediate(resolve)
+          );
+        }
+        // A cancelled run keeps the partial reply, as OpenAI does
+        message.content[0].text.value = snapshot.value;
+        if (stream.aborted) stream.emit("abort");
+        stream.emit("end");
+      } catch (error) {
+        // Like the OpenAI stream, end always follows an error
+        stream.emit("error", error);
+        stream.emit("end");
+      }
+    });
+
+    return stream;
+  }
+
+  async cancelRun(threadId, stream) {
+    stream.abort();
+  }
+
+  async complete(request) {
+    // Kept so tests can check the prompt that was sent
+    this.lastCompletionRequest = request;
+    return this.nextCompletion();
+  }
+
+  async uploadFile(fileName, purpose = "assistants") {
+    const file = {
+      id: `file_mock_${uuidv4()}`,
+      filename: path.basename(fileName),
+      purpose,
+    };
+    this.files.set(file.id, file);
+    return file;
+  }
+
+  async getFile(fileId) {
+    const file = this.files.get(fileId);
+    if (!file) throw Object.assign(new Error(`No such File object: ${fileId}`), { status: 404 });
+    return file;
+  }
+
+  async deleteFile(fileId) {
+    await this.getFile(fileId);
+    this.files.delete(fileId);
+    return { id: fileId, deleted: true };
+  }
+
+  getVectorStore(vectorStoreId) {
+    if (!this.vectorStores.has(vectorStoreId)) {
+      this.vectorStores.set(vectorStoreId, new Map());
+    }
+    return this.vectorStores.get(vectorStoreId);
+  }
+
+  async addFileToVectorStore(vectorStoreId, fileId) {
+    // Mock files are indexed instantly
+    const file = { id: fileId, vector_store_id: vectorStoreId, status: "completed" };
+    this.getVectorStore(vectorStoreId).set(fileId, file);
+    return file;
+  }
+
+  async getVectorStoreFile(vectorStoreId, fileId) {
+    const file = this.getVectorStore(vectorStoreId).get(fileId);
+    if (!file) throw Object.assign(new Error(`No file found with id '${fileId}'`), { status: 404 });
+    return file;
+  }
+
+  async listVectorStoreFiles(vectorStoreId) {
+    return [...this.getVectorStore(vectorStoreId).values()];
+  }
+
+  async removeFileFromVectorStore(vectorStoreId, fileId) {
+    await this.getVectorStoreFile(vectorStoreId, fileId);
+    this.getVectorStore(vectorStoreId).delete(fileId);
+    return { id: fileId, deleted: true };
+  }
+}
@@ -0,0 +1,198 @@
+import fs from "fs";
+import OpenAI from "openai";
+
+/**
+ * Flattens an Assistants API message into { id, role, content, createdAt }.
+ * @param {object} message The thread message.
+ * @returns {object}
+ */
+export const toChatMessage = (message) => ({
+  id: message.id,
+  role: message.role,
+  content: message.content
+    .filter((part) => part.type === "text")
+    .map((part) => part.text.value)
+    .join("\n"),
+  createdAt: message.created_at * 1000,
+});
+
+/**
+ * LLM provider backed by the OpenAI Assistants and Chat Completions APIs.
+ */
+export class OpenAIProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey The OpenAI API key.
+   */
+  constructor({ apiKey }) {
+    this.name = "openai";
+    this.client = new OpenAI({ apiKey });
+  }
+
+  async retrieveAssistant(assistantId) {
+    return this.client.beta.assistants.retrieve(assistantId);
+  }
+
+  async createThread() {
+    return this.client.beta.threads.create();
+  }
+
+  async deleteThread(threadId) {
+    return this.client.beta.threads.del(threadId);
+  }
+
+  async addMessage(threadId, { role, content }) {
+    return this.client.beta.threads.messages.create(threadId, { role, content });
+  }
+
+  /**
+   * Reads one message of a thread.
+   * @param {string} threadId The thread the message belongs to.
+   * @param {string} messageId The message to read.
+   * @returns {Promise<object>} The message; rejects with status 404 when it isn't in the thread.
+   */
+  async getMessage(threadId, messageId) {
+    return toChatMessage(await this.client.beta.threads.messages.retrieve(threadId, messageId));
+  }
+
+  /**
+   * Lists the messages of a thread, one page at a time.
+   * @param {string} threadId The thread to read.
+   * @param {object} [options]
+   * @param {string} [options.order] "asc" for oldest-first, "desc" for newest-first.
+   * @param {number} [options.limit] Page size (1-100).
+   * @param {string} [options.after] Message ID to continue after.
+   * @returns {Promise<{messages: Array<object>, hasMore: boolean}>}
+   */
+  async listMessages(threadId, { order = "asc", limit = 20, after } = {}) {
+    const page = await this.client.beta.threads.messages.list(threadId, {
+      order,
+      limit,
+      ...(after && { after }),
+    });
+    return {
+      messages: page.data.map(toChatMessage),
+      hasMore: Boolean(page.body?.has_more),
+    };
+  }
+
+  /**
+   * Streams an assistant run on a thread.
+   * @param {string} threadId The thread to run.
+   * @param {object} options
+   * @param {string} options.assistantId The assistant that answers.
+   * @param {Array<object>} [options.tools] Tools for this run, replacing the assistant's.
+   * @param {string} [options.additionalInstructions] Appended to the assistant's instructions for this run.
+   * @returns {AssistantStream} Emits messageCreated, textCreated, textDelta, event and end events.
+   */
+  streamRun(threadId, { assistantId, tools, additionalInstructions }) {
+    return this.client.beta.threads.runs.stream(threadId, {
+      assistant_id: assistantId,
+      ...(tools && { tools }),
+      ...(additionalInstructions && { additional_instructions: additionalInstructions }),
+    });
+  }
+
+  /**
+   * Answers the tool calls of a run that requires action and streams the rest of the run.
+   * @param {string} threadId The thread the run belongs to.
+   * @param {string} runId The run waiting for tool outputs.
+   * @param {Array<{tool_call_id: string, output: string}>} toolOutputs One output per tool call.
+   * @returns {AssistantStream}
+   */
+  submitToolOutputs(threadId, runId, toolOutputs) {
+    return this.client.beta.threads.runs.submitToolOutputsStream(threadId, runId, {
+      tool_outputs: toolOutputs.map(({ tool_call_id, output }) => ({
+        tool_call_id,
+        output,
+      })),
+    });
+  }
+
+  /**
+   * Cancels a streaming run and waits until the thread accepts new messages again.
+   * @param {string} threadId The thread the run belongs to.
+   * @param {AssistantStream} stream The stream returned by streamRun.
+   */
+  async cancelRun(threadId, stream) {
+    const run = stream.currentRun();
+    stream.abort();
+    if (!run) return;
+
+    await this.client.beta.threads.runs.cancel(threadId, run.id);
+    // The run passes through "cancelling"; the thread is locked until it settles
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const { status } = await this.client.beta.threads.runs.retrieve(
+        threadId,
+        run.id
+      );
+      if (!["queued", "in_progress", "cancelling", "requires_action"].includes(status)) {
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+  }
+
+  /**
+   * Runs a one-shot chat completion and returns the text of the first choice.
+   * @param {object} options
+   * @param {string} options.model The chat model to use.
+   * @param {Array<{role: string, content: string}>} options.messages The conversation to complete.
+   * @param {object} [options.responseFormat] e.g. a json_schema structured output format.
+   * @returns {Promise<string>}
+   */
+  async complete({ model, messages, maxTokens, temperature, responseFormat }) {
+    const completion = await this.client.chat.completions.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages,
+      ...(responseFormat && { response_format: responseFormat }),
+    });
+    return completion.choices[0].message.content;
+  }
+
+  async uploadFile(fileName, purpose = "assistants") {
+    return this.client.files.create({
+      file: fs.createReadStream(fileName),
+      purpose,
+    });
+  }
+
+  async getFile(fileId) {
+    return this.client.files.retrieve(fileId);
+  }
+
+  async deleteFile(fileId) {
+    return this.client.files.del(fileId);
+  }
+
+  async addFileToVectorStore(vectorStoreId, fileId) {
+    return this.client.beta.vectorStores.files.create(vectorStoreId, {
+      file_id: fileId,
+    });
+  }
+
+  async getVectorStoreFile(vectorStoreId, fileId) {
+    return this.client.beta.vectorStores.files.retrieve(vectorStoreId, fileId);
+  }
+
+  /**
+   * Lists every file attached to a vector store, across all pages.
+   * @param {string} vectorStoreId
+   * @returns {Promise<Array<object>>}
+   */
+  async listVectorStoreFiles(vectorStoreId) {
+    const files = [];
+    for await (const file of this.client.beta.vectorStores.files.list(vectorStoreId, {
+      limit: 100,
+    })) {
+      files.push(file);
+    }
+    return files;
+  }
+
+  async removeFileFromVectorStore(vectorStoreId, fileId) {
+    return this.client.beta.vectorStores.files.del(vectorStoreId, fileId);
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * A token bucket: holds up to `capacity` tokens and refills continuously at
+ * `refillPerMinute`. Each request takes one token.
+ */
+export class TokenBucket {
+  constructor({ capacity, refillPerMinute }) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now = Date.now()) {
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + (now - this.updatedAt) * this.refillPerMs
+    );
+    this.updatedAt = now;
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Takes a token if one is available.
+   * @returns {{allowed: boolean, retryAfterMs: number}}
+   */
+  take() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return {
+      allowed: false,
+      retryAfterMs: Math.ceil((1 - this.tokens) / this.refillPerMs),
+    };
+  }
+}
+
+/**
+ * Keeps one token bucket per key (session ID, IP address, ...).
+ * A limiter with a capacity of 0 is disabled and allows everything.
+ */
+export class RateLimiter {
+  /**
+   * @param {object} options
+   * @param {number} options.capacity Burst size: requests allowed back to back.
+   * @param {number} options.refillPerMinute Sustained requests per minute.
+   * @param {number} [options.maxKeys] Most buckets kept; see prune.
+   * @throws When the limiter is enabled but its buckets don't refill.
+   */
+  constructor({ capacity, refillPerMinute, maxKeys = 10000 }) {
+    if (capacity > 0 && !(refillPerMinute > 0)) {
+      throw new Error("refillPerMinute must be greater than 0");
+    }
+    this.options = { capacity, refillPerMinute };
+    this.maxKeys = maxKeys;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Takes a token from the bucket for `key`.
+   * @param {string} key
+   * @returns {{allowed: boolean, retryAfterMs: number}}
+   */
+  consume(key) {
+    if (!this.options.capacity) return { allowed: true, retryAfterMs: 0 };
+
+    let bucket = this.buckets.get(key);
+    if (bucket) {
+      // Keep the map in least recently used order for prune
+      this.buckets.delete(key);
+    } else {
+      if (this.buckets.size >= this.maxKeys) this.prune();
+      bucket = new TokenBucket(this.options);
+    }
+    this.buckets.set(key, bucket);
+    return bucket.take();
+  }
+
+  /**
+   * Makes room for a new bucket. Full buckets carry no state worth keeping, so
+   * they go first; if every bucket is in use, the least recently used ones are
+   * dropped so the map never grows past `maxKeys`.
+   */
+  prune() {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.isFull()) this.buckets.delete(key);
+    }
+    for (const key of this.buckets.keys()) {
+      if (this.buckets.size < this.maxKeys) break;
+      this.buckets.delete(key);
+    }
+  }
+}
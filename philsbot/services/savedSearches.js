@@ -0,0 +1,291 @@
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { readJsonFile, writeJsonFile } from "./utils.js";
+import { isPlainObject, isValidEmail, normalizePhone } from "./leadStore.js";
+import { SEARCH_CRITERIA_PROPERTIES } from "./listingSearch.js";
+import { formatPrice } from "./locale.js";
+
+// Listings remembered per search so the same listing isn't sent twice
+const MAX_NOTIFIED_KEYS = 500;
+
+/**
+ * Validates search criteria against SEARCH_CRITERIA_PROPERTIES.
+ * @param {object} input Criteria as sent by the chat tool or the API.
+ * @returns {{criteria: object, errors: Array<string>}}
+ */
+export const validateCriteria = (input = {}) => {
+  if (!isPlainObject(input)) return { criteria: {}, errors: ["criteria must be an object"] };
+  const criteria = {};
+  const errors = [];
+  for (const [name, { type }] of Object.entries(SEARCH_CRITERIA_PROPERTIES)) {
+    const value = input[name];
+    if (value === undefined || value === null || value === "") continue;
+    if (type === "string") {
+      if (typeof value !== "string" || !value.trim()) errors.push(`${name} must be text`);
+      else criteria[name] = value.trim().slice(0, 100);
+    } else if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      errors.push(`${name} must be a positive number`);
+    } else {
+      criteria[name] = type === "integer" ? Math.round(value) : value;
+    }
+  }
+  if (!errors.length && !Object.keys(criteria).length) {
+    errors.push("at least one search criterion is required");
+  }
+  return { criteria, errors };
+};
+
+/**
+ * Validates a saved search: criteria plus an email or phone number to alert.
+ * @param {object} input name, email, phone and criteria.
+ * @returns {{search: object|null, errors: Array<string>}}
+ */
+export const validateSavedSearch = (input = {}) => {
+  if (!isPlainObject(input)) return { search: null, errors: ["saved search details are required"] };
+  const { criteria, errors } = validateCriteria(input.criteria);
+  const email =
+    typeof input.email === "string" && input.email.trim()
+      ? input.email.trim().toLowerCase()
+      : null;
+  const rawPhone = typeof input.phone === "string" && input.phone.trim() ? input.phone.trim() : null;
+  const phone = rawPhone && normalizePhone(rawPhone);
+
+  if (email && !isValidEmail(email)) errors.push("email is not valid");
+  if (rawPhone && !phone) errors.push("phone is not valid");
+  if (!email && !rawPhone) errors.push("an email or phone number is required");
+
+  if (errors.length) return { search: null, errors };
+  return {
+    search: {
+      name: typeof input.name === "string" && input.name.trim() ? input.name.trim().slice(0, 200) : null,
+      email,
+      phone,
+      criteria,
+    },
+    errors,
+  };
+};
+
+/**
+ * Describes search criteria in words, e.g. "in Kitsilano, under $1,000,000, 2+ bedrooms".
+ * @param {object} criteria
+ * @returns {string}
+ */
+export const describeCriteria = (criteria) => {
+  const range = (min, max, format, unit = "") => {
+    if (min != null && max != null) return `${format(min)}-${format(max)}${unit}`;
+    if (min != null) return `${format(min)}+${unit}`;
+    if (max != null) return `up to ${format(max)}${unit}`;
+    return null;
+  };
+  const place = [criteria.neighborhood, criteria.city].filter(Boolean).join(", ");
+  return (
+    [
+      place ? `in ${place}` : null,
+      criteria.maxPrice != null && criteria.minPrice == null
+        ? `under ${formatPrice(criteria.maxPrice)}`
+        : range(criteria.minPrice, criteria.maxPrice, formatPrice),
+      range(criteria.minBedrooms, criteria.maxBedrooms, String, " bedrooms"),
+      range(criteria.minBathrooms, criteria.maxBathrooms, String, " bathrooms"),
+      range(criteria.minFloorArea, criteria.maxFloorArea, String, " sq ft"),
+      criteria.status ? criteria.status.toLowerCase() : null,
+    ]
+      .filter(Boolean)
+      .join(", ") || "any listing"
+  );
+};
+
+// Compares a token from a link with the stored one in constant time
+const tokenMatches = (token, expected) =>
+  typeof token === "string" &&
+  typeof expected === "string" &&
+  token.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+
+/**
+ * Persists saved searches to a JSON file, oldest first. A search gets no
+ * alerts until the link sent to its contact has been opened, so nobody can
+ * sign someone else up.
+ */
+export class SavedSearchStore {
+  constructor({ fileName }) {
+    this.fileName = fileName;
+    this.searches = readJsonFile(fileName, []);
+  }
+
+  save() {
+    writeJsonFile(this.fileName, this.searches);
+  }
+
+  /**
+   * Adds a validated saved search, inactive until it is confirmed.
+   * @param {object} search As returned by validateSavedSearch.
+   * @param {object} meta
+   * @param {string} meta.source Where it was created (chat_tool, api).
+   * @param {object} [meta.conversation] { sessionId, threadId } of the chat it came from.
+   * @returns {object} The stored search.
+   */
+  add(search, { source, conversation = null }) {
+    const record = {
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+      source,
+      ...search,
+      conversation,
+      active: false,
+      confirmToken: crypto.randomBytes(16).toString("hex"),
+      confirmedAt: null,
+      unsubscribeToken: crypto.randomBytes(16).toString("hex"),
+      unsubscribedAt: null,
+      lastNotifiedAt: null,
+      notifiedKeys: [],
+    };
+    this.searches.push(record);
+    this.save();
+    return record;
+  }
+
+  get(id) {
+    return this.searches.find((search) => search.id === id) || null;
+  }
+
+  /**
+   * Lists saved searches, newest first.
+   * @param {object} [options]
+   * @param {boolean} [options.active] Only active (or only unconfirmed and unsubscribed) searches.
+   * @returns {Array<object>}
+   */
+  list({ active } = {}) {
+    return this.searches
+      .filter((search) => active === undefined || search.active === active)
+      .reverse();
+  }
+
+  /**
+   * Starts alerts for a search, given the token from its confirmation link.
+   * A search unsubscribed before it was confirmed stays inactive.
+   * @param {string} id
+   * @param {string} token
+   * @returns {object|null} The search, or null when the id or token is wrong.
+   */
+  confirm(id, token) {
+    const search = this.get(id);
+    if (!search || !tokenMatches(token, search.confirmToken)) return null;
+    if (!search.confirmedAt && !search.unsubscribedAt) {
+      search.active = true;
+      search.confirmedAt = new Date().toISOString();
+      this.save();
+    }
+    return search;
+  }
+
+  /**
+   * Stops alerts for a search, given the token from its unsubscribe link.
+   * @param {string} id
+   * @param {string} token
+   * @returns {object|null} The search, or null when the id or token is wrong.
+   */
+  unsubscribe(id, token) {
+    const search = this.get(id);
+    if (!search || !tokenMatches(token, search.unsubscribeToken)) return null;
+    if (!search.unsubscribedAt) {
+      search.active = false;
+      search.unsubscribedAt = new Date().toISOString();
+      this.save();
+    }
+    return search;
+  }
+
+  /**
+   * Deletes a saved search.
+   * @param {string} id
+   * @returns {boolean} Whether it existed.
+   */
+  remove(id) {
+    const index = this.searches.findIndex((search) => search.id === id);
+    if (index === -1) return false;
+    this.searches.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Records that a search was alerted about listings.
+   * @param {string} id
+   * @param {Array<string>} keys Keys of the listings sent.
+   */
+  recordNotified(id, keys) {
+    const search = this.get(id);
+    if (!search) return;
+    search.lastNotifiedAt = new Date().toISOString();
+    search.notifiedKeys = [...search.notifiedKeys, ...keys].slice(-MAX_NOTIFIED_KEYS);
+    this.save();
+  }
+}
+
+/**
+ * Stores a saved search and sends the link that confirms it. A search whose
+ * link can't be delivered could never be confirmed, so it is removed again.
+ * @param {SavedSearchStore} store Where searches are stored.
+ * @param {SearchAlerts} alerts Sends the confirmation link.
+ * @param {object} search As returned by validateSavedSearch.
+ * @param {object} meta As for SavedSearchStore.add.
+ * @returns {Promise<object|null>} The stored search, or null when the link couldn't be sent.
+ */
+export const addSavedSearch = async (store, alerts, search, meta) => {
+  const record = store.add(search, meta);
+  try {
+    await alerts.sendConfirmation(record);
+    return record;
+  } catch (error) {
+    console.error(`Error sending confirmation for saved search ${record.id}:`, error.message);
+    store.remove(record.id);
+    return null;
+  }
+};
+
+/**
+ * Builds the save_search tool, which saves a visitor's search and alerts them
+ * when matching listings come up.
+ * @param {SavedSearchStore} store Where searches are stored.
+ * @param {SearchAlerts} alerts Sends the confirmation link.
+ * @returns {object} A tool for registerTool.
+ */
+export const createSaveSearchTool = (store, alerts) => ({
+  name: "save_search",
+  description:
+    "Save a search and alert the visitor when new or re-priced listings match it, e.g. \"let me know when something in Kitsilano under $1M comes up\". Only call this with an email or phone number the visitor gave explicitly. Alerts start once the visitor opens the confirmation link sent to that contact; tell them so.",
+  parameters: {
+    type: "object",
+    properties: {
+      name: { type: "string", description: "The visitor's name" },
+      email: { type: "string" },
+      phone: { type: "string" },
+      criteria: {
+        type: "object",
+        properties: SEARCH_CRITERIA_PROPERTIES,
+        additionalProperties: false,
+      },
+    },
+    required: ["criteria"],
+    additionalProperties: false,
+  },
+  handler: async (input, { sessionId, session }) => {
+    const { search, errors } = validateSavedSearch(input);
+    if (!search) return { success: false, errors };
+    const record = await addSavedSearch(store, alerts, search, {
+      source: "chat_tool",
+      conversation: { sessionId, threadId: session.threadId },
+    });
+    if (!record) {
+      return { success: false, errors: ["the confirmation link couldn't be sent to that contact"] };
+    }
+    return {
+      success: true,
+      searchId: record.id,
+      description: describeCriteria(record.criteria),
+      confirmationSentTo: record.email || record.phone,
+      unsubscribeUrl: alerts.unsubscribeUrl(record),
+    };
+  },
+});
@@ -0,0 +1,215 @@
+import { v4 as uuidv4 } from "uuid";
+import { readJsonFile, writeJsonFile } from "./utils.js";
+
+// Failure messages kept per run; the counters still count every failure
+const MAX_RUN_ERRORS = 20;
+
+// Progress event types that are failures
+const FAILURE_EVENTS = ["pageFailed", "detailFailed", "sourceFailed", "imageFailed"];
+
+/**
+ * Runs scrapes one at a time, tracks the progress of the current run and keeps
+ * a persisted history of past runs. Vector store syncs started outside a
+ * scrape go through it too, so uploads never overlap.
+ */
+export class ScrapeJobRunner {
+  /**
+   * @param {object} options
+   * @param {ScraperService} options.scraperService The scraper to run.
+   * @param {string} options.historyFile JSON file the run history is kept in.
+   * @param {number} options.maxHistory Most runs kept in the history.
+   */
+  constructor({ scraperService, historyFile, maxHistory }) {
+    this.scraperService = scraperService;
+    this.historyFile = historyFile;
+    this.maxHistory = maxHistory;
+    this.current = null;
+    this.currentPromise = null;
+    // A vector store sync started outside a scrape, while it runs
+    this.syncing = null;
+
+    // Runs still marked running were cut short by a restart
+    this.history = readJsonFile(historyFile, []).map((run) =>
+      run.status === "running"
+        ? { ...run, status: "interrupted", error: "Server stopped during the run" }
+        : run
+    );
+
+    scraperService.on("progress", (event) => this.recordProgress(event));
+  }
+
+  saveHistory() {
+    writeJsonFile(this.historyFile, this.history);
+  }
+
+  /**
+   * Updates the current run's counters from a scraper progress event.
+   * @param {object} event { type, source, url, listings, error }.
+   */
+  recordProgress(event) {
+    const run = this.current;
+    if (!run) return;
+    const { progress } = run;
+    switch (event.type) {
+      case "page":
+        progress.pages++;
+        progress.listingsFound += event.listings;
+        break;
+      case "detail":
+        progress.detailsFetched++;
+        break;
+      case "pageFailed":
+        progress.pageFailures++;
+        break;
+      case "detailFailed":
+        progress.detailFailures++;
+        break;
+      case "source":
+        progress.sourcesFetched++;
+        break;
+      case "sourceFailed":
+        progress.sourceFailures++;
+        break;
+      case "image":
+        progress.imagesStored++;
+        break;
+      case "imageFailed":
+        progress.imageFailures++;
+        break;
+    }
+    if (FAILURE_EVENTS.includes(event.type) && run.errors.length < MAX_RUN_ERRORS) {
+      run.errors.push({
+        type: event.type,
+        source: event.source || null,
+        url: event.url || null,
+        error: event.error || "No listing details on the page",
+      });
+    }
+  }
+
+  /**
+   * Starts a scrape unless one is already running.
+   * @param {string} trigger What started the run: schedule or manual.
+   * @returns {{started: boolean, run: object}} The new run, or the one already in progress.
+   */
+  start(trigger) {
+    if (this.current) return { started: false, run: this.current };
+
+    const run = {
+      id: uuidv4(),
+      trigger,
+      status: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      progress: {
+        sourcesFetched: 0,
+        sourceFailures: 0,
+        pages: 0,
+        pageFailures: 0,
+        listingsFound: 0,
+        detailsFetched: 0,
+        detailFailures: 0,
+        imagesStored: 0,
+        imageFailures: 0,
+      },
+      errors: [],
+      result: null,
+      error: null,
+    };
+    this.current = run;
+    this.history.unshift(run);
+    this.history.splice(this.maxHistory);
+    this.saveHistory();
+    console.log(`Starting ${trigger} scrape ${run.id}`);
+
+    // A sync started through syncVectorStore finishes before the scrape can upload its own snapshot
+    this.currentPromise = Promise.resolve(this.syncing)
+      .catch(() => {})
+      .then(() => this.scraperService.scrapeAndUpdate())
+      .then(({ snapshot, listings, changes, quality, vectorStore }) => {
+        // The snapshot is saved either way; below the quality thresholds it isn't uploaded
+        run.status = quality.passed ? "succeeded" : "failed";
+        if (!quality.passed) {
+          run.error = `Listing quality below threshold, snapshot not uploaded: ${quality.failures.join("; ")}`;
+        }
+        run.result = {
+          snapshot,
+          listings,
+          changes,
+          quality,
+          uploadedFileId: vectorStore?.uploadedFileId || null,
+          removedFiles: vectorStore?.removed.length ?? 0,
+        };
+      })
+      .catch((error) => {
+        console.error(`Scrape ${run.id} failed:`, error);
+        run.status = "failed";
+        run.error = error.message;
+      })
+      .finally(() => {
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+        this.current = null;
+        this.currentPromise = null;
+        this.saveHistory();
+        console.log(`Scrape ${run.id} ${run.status} in ${run.durationMs}ms`);
+      });
+
+    return { started: true, run };
+  }
+
+  /**
+   * Starts a scrape and waits for it to finish; skips when one is already running.
+   * @param {string} trigger What started the run.
+   * @returns {Promise<object|null>} The finished run, or null if skipped.
+   */
+  async run(trigger) {
+    const { started, run } = this.start(trigger);
+    if (!started) {
+      console.log(`Skipping ${trigger} scrape; run ${run.id} is still in progress`);
+      return null;
+    }
+    await this.currentPromise;
+    return run;
+  }
+
+  /**
+   * Syncs a snapshot to the vector store unless a scrape or another sync is
+   * running. Scrapes end with a sync of their own, so both share this lock.
+   * @param {string} fileName The snapshot to upload.
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] Only report what would change.
+   * @returns {Promise<object|null>} The sync report, or null when the lock is taken.
+   */
+  async syncVectorStore(fileName, { dryRun } = {}) {
+    if (this.current || this.syncing) return null;
+    this.syncing = this.scraperService.syncVectorStore(fileName, { dryRun });
+    try {
+      return await this.syncing;
+    } finally {
+      this.syncing = null;
+    }
+  }
+
+  /**
+   * @returns {{running: boolean, current: object|null, lastRun: object|null}}
+   */
+  status() {
+    return {
+      running: Boolean(this.current),
+      current: this.current,
+      lastRun: this.history.find((run) => run !== this.current) || null,
+    };
+  }
+
+  /**
+   * Lists past runs, newest first.
+   * @param {object} [options]
+   * @param {number} [options.limit]
+   * @returns {Array<object>}
+   */
+  listRuns({ limit = this.maxHistory } = {}) {
+    return this.history.slice(0, limit);
+  }
+}
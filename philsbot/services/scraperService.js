@@ -1,186 +1,300 @@
-import axios from "axios";
-import * as cheerio from "cheerio";
+import { EventEmitter } from "events";
 import fs from "fs";
-import { cleanText } from "./utils.js";
-import {
-  extractListingInfo,
-  parseDetailedInfo,
-  extractDetailsFromSummary,
-  parseAddress,
-
-} from "./parsers.js";
+import { readJsonFile } from "./utils.js";
 import path from "path";
+import config from "../config.js";
+import { diffListings, countChanges } from "./listingDiff.js";
+import { VectorStoreSync } from "./vectorStoreSync.js";
+import { Crawler, pruneHttpCache } from "./crawler.js";
+import { MediaStore } from "./mediaStore.js";
+import { checkListingQuality } from "./listingQuality.js";
+import { writeListingExports } from "./listingExport.js";
+import { DEFAULT_SOURCES, createSource, mergeSourceResults } from "./sources/index.js";
 
-export class ScraperService {
-  constructor(openai) {
-    this.openai = openai;
-  }
+// Matches the daily snapshot files, e.g. listings2024-12-01.json
+const SNAPSHOT_FILE_PATTERN = /^listings(\d{4}-\d{2}-\d{2})\.json$/;
 
-  async axiosWithRetry(url, retries = 3, delay = 1000, timeout = 10000) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        return await axios.get(url, {
-          timeout,
-          headers: {
-            "User-Agent":
-              "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-          },
-        });
-      } catch (err) {
-        if (i === retries - 1) throw err;
-        console.log(`Attempt ${i + 1} failed. Retrying in ${delay}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      }
-    }
-  }
-  
-  async getLinksFromPage(url) {
-    try {
-      const { data } = await axios.get(url);
-      const $ = cheerio.load(data);
+// Matches the quality report saved with each scrape, e.g. listings2024-12-01.quality.json
+const QUALITY_FILE_PATTERN = /^listings(\d{4}-\d{2}-\d{2})\.quality\.json$/;
 
-      const listings = $("li.mrp-listing-result")
-        .map((i, element) => extractListingInfo($, element))
-        .get();
+// Matches the change set saved with each scrape, e.g. listings2024-12-01.changes.json
+const CHANGES_FILE_PATTERN = /^listings(\d{4}-\d{2}-\d{2})\.changes\.json$/;
 
-      if (listings.length === 0) {
-        return { listings: [], foundInactive: true };
-      }
+/**
+ * Scrapes the configured listing sources, saves the merged listings as a daily
+ * snapshot and uploads it for the assistant.
+ * Emits "changes" (changes, listings) with the change set and listings of
+ * every run that had a previous snapshot to compare against, and "progress"
+ * events ({ type, source, ... }) while sources are fetched: page, pageFailed,
+ * detail, detailFailed, source, sourceFailed, image and imageFailed.
+ */
+export class ScraperService extends EventEmitter {
+  constructor(provider) {
+    super();
+    this.provider = provider;
+    this.vectorStoreId = config.vectorStore.id;
+    this.vectorStoreSync = new VectorStoreSync({
+      provider,
+      vectorStoreId: config.vectorStore.id,
+      manifestFile: config.vectorStore.manifestFile,
+      pollIntervalMs: config.vectorStore.pollIntervalMs,
+      indexTimeoutMs: config.vectorStore.indexTimeoutMs,
+    });
+    this.snapshotDir = config.scraper.snapshotDir;
+    this.crawler = new Crawler(config.crawler);
+    this.mediaStore = config.media.enabled
+      ? new MediaStore({ ...config.media, crawler: this.crawler })
+      : null;
+    // Listing sources, created on first use
+    this.sources = null;
+    // Listings from the most recent snapshot, loaded lazily
+    this.latestListings = null;
+  }
 
-      const foundInactive = listings.some(
-        (listing) =>
-          listing.status.toLowerCase().includes("not active") ||
-          listing.status.toLowerCase().includes("inactive") ||
-          listing.status.toLowerCase().includes("sold") ||
-          listing.status.toLowerCase().includes("pending")
-      );
+  /**
+   * Lists the snapshot files in the snapshot directory, oldest first.
+   * @returns {Array<{date: string, fileName: string}>}
+   */
+  listSnapshotFiles() {
+    if (!fs.existsSync(this.snapshotDir)) return [];
+    return fs
+      .readdirSync(this.snapshotDir)
+      .map((name) => name.match(SNAPSHOT_FILE_PATTERN))
+      .filter(Boolean)
+      .map((match) => ({
+        date: match[1],
+        fileName: path.join(this.snapshotDir, match[0]),
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
 
-      return { listings, foundInactive };
-    } catch (error) {
-      console.error("Error fetching the page:", error);
-      return { listings: [], foundInactive: false };
+  /**
+   * Returns the listings of the most recent snapshot, or [] if none exists yet.
+   * @returns {Array<object>}
+   */
+  getLatestListings() {
+    if (!this.latestListings) {
+      const latest = this.listSnapshotFiles().at(-1);
+      this.latestListings = latest ? readJsonFile(latest.fileName, []) : [];
     }
+    return this.latestListings;
   }
 
-  async scrapeListingDetails(shareUrl) {
+  /**
+   * Returns the quality report of the most recent scrape, or null if there is none.
+   * @returns {object|null}
+   */
+  getLatestQualityReport() {
+    if (!fs.existsSync(this.snapshotDir)) return null;
+    const latest = fs
+      .readdirSync(this.snapshotDir)
+      .filter((name) => QUALITY_FILE_PATTERN.test(name))
+      .sort()
+      .at(-1);
+    return latest ? readJsonFile(path.join(this.snapshotDir, latest)) : null;
+  }
+
+  /**
+   * Returns the most recent change sets, newest first.
+   * @param {number} limit Most change sets returned.
+   * @returns {Array<object>}
+   */
+  listChangeSets(limit) {
+    if (!fs.existsSync(this.snapshotDir)) return [];
+    return fs
+      .readdirSync(this.snapshotDir)
+      .filter((name) => CHANGES_FILE_PATTERN.test(name))
+      .sort()
+      .reverse()
+      .slice(0, limit)
+      .map((name) => readJsonFile(path.join(this.snapshotDir, name)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Writes the CSV, GeoJSON and feed exports of a snapshot. Failures are
+   * logged; they don't fail the scrape.
+   * @param {Array<object>} listings Listings of the new snapshot.
+   */
+  writeExports(listings) {
     try {
-      const { data } = await this.axiosWithRetry(shareUrl);
-      const $ = cheerio.load(data);
-      const rawDetailedInfo = cleanText(
-        $(".mrp-listing-info-container").text()
+      const files = writeListingExports(
+        config.exports.dir,
+        { listings, changeSets: this.listChangeSets(config.exports.feedChangeSets) },
+        { title: config.exports.feedTitle, publicUrl: config.exports.publicUrl }
       );
-      return parseDetailedInfo(rawDetailedInfo);
+      console.log(`Exports written: ${files.map((file) => path.basename(file)).join(", ")}`);
     } catch (error) {
-      console.error(
-        `Error fetching the listing details from ${shareUrl}:`,
-        error.message
-      );
-      return null;
+      console.error("Error writing listing exports:", error);
     }
   }
 
-  async scrapeAllListingsWithDetails(baseUrl, maxPages = 20) {
-    let allListings = [];
-    let currentPage = 1;
-    let foundInactive = false;
-
-    while (!foundInactive && currentPage <= maxPages) {
-      const pageUrl = `${baseUrl}?_pg=${currentPage}`;
-      console.log(`Scraping page ${currentPage}: ${pageUrl}`);
+  /**
+   * Creates the listing sources from the sources file, or DEFAULT_SOURCES
+   * when none is configured.
+   * @returns {Promise<Array<object>>}
+   */
+  async getSources() {
+    if (!this.sources) {
+      const { sourcesFile } = config.scraper;
+      const definitions = sourcesFile ? readJsonFile(sourcesFile) : DEFAULT_SOURCES;
+      if (!Array.isArray(definitions)) {
+        throw new Error(`Listing sources file ${sourcesFile} must contain an array`);
+      }
+      const context = {
+        crawler: this.crawler,
+        baseDir: sourcesFile ? path.dirname(path.resolve(sourcesFile)) : process.cwd(),
+        report: (event) => this.emit("progress", event),
+      };
+      const sources = [];
+      for (const definition of definitions) {
+        sources.push(await createSource(definition, context));
+      }
+      this.sources = sources;
+    }
+    return this.sources;
+  }
 
+  /**
+   * Fetches every source and merges the results. A source that fails keeps
+   * its listings from the previous snapshot, so an outage isn't reported as
+   * all of its listings being removed.
+   * @returns {Promise<Array<object>>}
+   */
+  async scrapeAllSources() {
+    const results = [];
+    for (const source of await this.getSources()) {
       try {
-        const { listings, foundInactive: pageHasInactive } =
-          await this.getLinksFromPage(pageUrl);
-
-        if (listings.length === 0) {
-          console.log(
-            `No listings found on page ${currentPage}. Stopping scrape.`
-          );
-          break;
-        }
-
-        allListings = allListings.concat(listings);
-        foundInactive = pageHasInactive;
-
-        if (foundInactive) {
-          console.log(
-            `Found inactive listing(s) on page ${currentPage}. Stopping scrape.`
-          );
-        } else {
-          console.log(
-            `Completed scraping page ${currentPage}. Found ${listings.length} listings.`
-          );
-        }
-
-        await new Promise((resolve) => setTimeout(resolve, 1500));
-        currentPage++;
+        const listings = await source.fetchListings();
+        console.log(`[${source.id}] Fetched ${listings.length} listings.`);
+        this.emit("progress", { type: "source", source: source.id, listings: listings.length });
+        results.push({ source, listings });
       } catch (error) {
-        console.error(`Error scraping page ${currentPage}:`, error);
-        break;
+        console.error(`Error fetching listings from source ${source.id}:`, error.message);
+        this.emit("progress", { type: "sourceFailed", source: source.id, error: error.message });
+        const previous = this.getLatestListings().filter(
+          (listing) => listing.sources?.[0]?.id === source.id
+        );
+        console.log(`[${source.id}] Keeping ${previous.length} listings from the previous snapshot.`);
+        results.push({ source, listings: previous });
       }
     }
-
-    console.log(`Total listings found: ${allListings.length}`);
-
-    const detailedListings = await Promise.all(
-      allListings.map(async (listing) => {
-        try {
-          const detailedInfo = await this.scrapeListingDetails(
-            listing.shareUrl
-          );
-          return { ...listing, detailedInfo };
-        } catch (error) {
-          console.error(
-            `Failed to fetch details for ${listing.shareUrl}:`,
-            error.message
-          );
-          return { ...listing, detailedInfo: null };
-        }
-      })
-    );
-
-    return detailedListings.filter((listing) => listing.detailedInfo !== null);
+    return mergeSourceResults(results);
   }
 
   saveScrapedDataToFile(data, fileName) {
+    fs.mkdirSync(path.dirname(fileName), { recursive: true });
     fs.writeFileSync(fileName, JSON.stringify(data, null, 2));
     console.log(`Data saved to ${fileName}`);
   }
 
-  async uploadFileToOpenAI(fileName) {
-    console.log("file name: ", fileName);
-    try {
-      const file = await this.openai.files.create({
-        file: fs.createReadStream(fileName),
-        purpose: "assistants",
-      });
-
-      const myVectorStoreFile =
-        await this.openai.beta.vectorStores.files.create(
-          "vs_AhOMGRbrpoH3HhhlQq5Dv7oM",
-          {
-            file_id: file.id,
-          }
-        );
-      console.log(myVectorStoreFile);
-    } catch (error) {
-      console.error("Error uploading file to OpenAI:", error);
+  /**
+   * Compares a new scrape with the most recent snapshot from an earlier day,
+   * saves the change set next to the new snapshot and emits it, with the
+   * listings, as a "changes" event. A rerun on the same day replaces that
+   * day's snapshot, so it is compared with the day before as well and its
+   * change set covers the whole day.
+   * @param {Array<object>} listings The new listings.
+   * @param {string} fileName The new snapshot file.
+   * @returns {object|null} The change set, or null when there is no earlier snapshot.
+   */
+  recordChanges(listings, fileName) {
+    const snapshot = path.basename(fileName);
+    const previous = this.listSnapshotFiles()
+      .filter((file) => path.basename(file.fileName) < snapshot)
+      .at(-1);
+    if (!previous) {
+      console.log("No previous snapshot; skipping change detection.");
+      return null;
     }
+
+    const changes = {
+      generatedAt: new Date().toISOString(),
+      snapshot,
+      previousSnapshot: path.basename(previous.fileName),
+      ...diffListings(readJsonFile(previous.fileName, []), listings),
+    };
+    this.saveScrapedDataToFile(changes, fileName.replace(/\.json$/, ".changes.json"));
+    console.log(
+      `Detected ${countChanges(changes)} change(s) since ${changes.previousSnapshot}.`
+    );
+    this.emit("changes", changes, listings);
+    return changes;
+  }
+
+  /**
+   * Uploads a snapshot to the vector store and removes the snapshots it supersedes.
+   * @param {string} fileName The snapshot to upload.
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] Only report what would change.
+   * @returns {Promise<object>} The sync report.
+   */
+  async syncVectorStore(fileName, { dryRun = config.vectorStore.dryRun } = {}) {
+    return this.vectorStoreSync.sync(fileName, { dryRun });
   }
 
+  /**
+   * Scrapes every source, validates the listings, saves the snapshot, its
+   * change set and exports, and syncs it to the vector store. Invalid listings
+   * stay in the snapshot flagged with `qualityErrors` and are listed in a quality
+   * report saved next to it; when quality is below the configured thresholds
+   * the snapshot isn't uploaded and the assistant keeps searching the previous
+   * one. Use ScrapeJobRunner rather than calling this directly, so runs don't overlap.
+   * @returns {Promise<object>} The snapshot file, listing count, change count, quality
+   *   summary and sync report, null when the snapshot wasn't uploaded.
+   * @throws When the upload fails.
+   */
   async scrapeAndUpdate() {
-    try {
-      const baseUrl = "https://dorisgee.com/mylistings.html";
-      const listings = await this.scrapeAllListingsWithDetails(baseUrl);
+    const scraped = await this.scrapeAllSources();
+
+    const fileName = path.join(
+      this.snapshotDir,
+      `listings${new Date().toISOString().split("T")[0]}.json`
+    );
+    const { listings, report: quality } = checkListingQuality(scraped, config.quality);
+    this.saveScrapedDataToFile(quality, fileName.replace(/\.json$/, ".quality.json"));
+    console.log(
+      `${quality.valid} of ${quality.total} listings are valid (${quality.validPercent}%).`
+    );
 
-      const fileName = `listings${new Date().toISOString().split("T")[0]}.json`;
-      this.saveScrapedDataToFile(listings, fileName);
+    if (this.mediaStore) {
+      await this.mediaStore.processListings(listings, (event) => this.emit("progress", event));
+      const pruned = this.mediaStore.prune(listings);
+      if (pruned) console.log(`Removed ${pruned} image(s) no listing uses any more.`);
+    }
 
-      await this.uploadFileToOpenAI(fileName);
+    // Compared with the last earlier day, so a same-day rerun reports the whole day
+    const changes = this.recordChanges(listings, fileName);
+    this.saveScrapedDataToFile(listings, fileName);
+    this.latestListings = listings;
+    this.writeExports(listings);
 
+    if (config.crawler.cacheDir) {
+      pruneHttpCache(config.crawler.cacheDir, config.crawler.cacheMaxAgeMs);
+    }
+
+    let vectorStore = null;
+    if (quality.passed) {
+      vectorStore = await this.syncVectorStore(fileName);
       console.log("Scraping and uploading completed.");
-    } catch (error) {
-      console.error("An error occurred during scraping and updating:", error);
+    } else {
+      console.error(
+        `Listing quality below threshold, ${path.basename(fileName)} not uploaded: ${quality.failures.join("; ")}`
+      );
     }
+    return {
+      snapshot: path.basename(fileName),
+      listings: listings.length,
+      changes: changes ? countChanges(changes) : null,
+      quality: {
+        total: quality.total,
+        valid: quality.valid,
+        invalid: quality.invalid,
+        validPercent: quality.validPercent,
+        passed: quality.passed,
+        failures: quality.failures,
+      },
+      vectorStore,
+    };
   }
 }
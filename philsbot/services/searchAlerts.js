@@ -0,0 +1,208 @@
+import { summarizeListing, matchesCriteria } from "./listingSearch.js";
+import { listingKey } from "./listingDiff.js";
+import { toListingCard } from "./listingCards.js";
+import { describeCriteria } from "./savedSearches.js";
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[<>&"]/g,
+    (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[char]
+  );
+
+// One line per listing, e.g. "$899,000 · 2 bed · 1 bath · 850 sq ft"
+const describeCard = (card) =>
+  [
+    card.priceFormatted,
+    card.bedrooms != null ? `${card.bedrooms} bed` : null,
+    card.bathrooms != null ? `${card.bathrooms} bath` : null,
+    card.floorAreaSqft ? `${card.floorAreaSqft} sq ft` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+/**
+ * Evaluates saved searches against the changes of each scrape and sends the
+ * new and re-priced listings that match through the notifier. A listing is
+ * only sent once per search.
+ *
+ * Notifiers receive alerts shaped { type, search, listings (listing cards),
+ * unsubscribeUrl, subject, text, html }. `type` is "alert", or "confirmation"
+ * for the message with the link that confirms a new search (its `confirmUrl`;
+ * `listings` is empty).
+ */
+export class SearchAlerts {
+  /**
+   * @param {object} options
+   * @param {SavedSearchStore} options.store The saved searches.
+   * @param {object} options.notifier Delivers alerts; see createNotifier.
+   * @param {string} options.publicUrl Absolute URL of the server, for unsubscribe links.
+   * @param {number} options.maxListings Most listings in one alert.
+   */
+  constructor({ store, notifier, publicUrl, maxListings }) {
+    this.store = store;
+    this.notifier = notifier;
+    this.publicUrl = publicUrl.replace(/\/$/, "");
+    this.maxListings = maxListings;
+  }
+
+  /**
+   * @param {object} search A stored saved search.
+   * @returns {string}
+   */
+  unsubscribeUrl(search) {
+    return `${this.publicUrl}/api/saved-searches/${search.id}/unsubscribe?token=${search.unsubscribeToken}`;
+  }
+
+  /**
+   * @param {object} search A stored saved search.
+   * @returns {string}
+   */
+  confirmUrl(search) {
+    return `${this.publicUrl}/api/saved-searches/${search.id}/confirm?token=${search.confirmToken}`;
+  }
+
+  /**
+   * Sends the link that confirms a new saved search to its contact.
+   * @param {object} search A stored saved search.
+   * @throws When the notifier fails.
+   */
+  async sendConfirmation(search) {
+    const description = describeCriteria(search.criteria);
+    const confirmUrl = this.confirmUrl(search);
+    const unsubscribeUrl = this.unsubscribeUrl(search);
+    const greeting = search.name ? `Hi ${search.name},` : "Hi,";
+    await this.notifier.notify({
+      type: "confirmation",
+      search,
+      listings: [],
+      confirmUrl,
+      unsubscribeUrl,
+      subject: `Confirm your listing alerts (${description})`,
+      text: [
+        greeting,
+        "",
+        `Open this link to start getting alerts for listings ${description}:`,
+        confirmUrl,
+        "",
+        "If you didn't ask for these alerts, ignore this message and you won't hear from us again.",
+      ].join("\n"),
+      html: [
+        `<p>${escapeHtml(greeting)}</p>`,
+        `<p><a href="${escapeHtml(confirmUrl)}">Start getting alerts for listings ${escapeHtml(description)}</a></p>`,
+        "<p>If you didn't ask for these alerts, ignore this message and you won't hear from us again.</p>",
+      ].join("\n"),
+    });
+  }
+
+  /**
+   * Lists the listings of a change set a saved search should hear about: new
+   * listings that match, and listings whose price change made them match.
+   * @param {object} search A stored saved search.
+   * @param {object} changes A change set from ScraperService.recordChanges.
+   * @param {Map<string, object>} listingsByKey Listings of the new snapshot by key.
+   * @returns {Array<object>} The listings, not yet sent to this search.
+   */
+  findMatches(search, changes, listingsByKey) {
+    const candidates = [
+      ...changes.added.map((summary) => listingsByKey.get(summary.listingId || summary.mlsNumber)),
+      ...changes.priceChanges
+        .filter((change) => change.from != null)
+        .map((change) => {
+          const listing = listingsByKey.get(change.key);
+          if (!listing) return null;
+          const before = { ...summarizeListing(listing), price: change.from };
+          return matchesCriteria(before, search.criteria) ? null : listing;
+        }),
+    ].filter(Boolean);
+
+    return [...new Set(candidates)].filter(
+      (listing) =>
+        !search.notifiedKeys.includes(listingKey(listing)) &&
+        matchesCriteria(summarizeListing(listing), search.criteria)
+    );
+  }
+
+  /**
+   * Builds the alert for a search.
+   * @param {object} search
+   * @param {Array<object>} listings Matching listings.
+   * @returns {object}
+   */
+  buildAlert(search, listings) {
+    const cards = listings.slice(0, this.maxListings).map((listing) => toListingCard(listing));
+    const description = describeCriteria(search.criteria);
+    const unsubscribeUrl = this.unsubscribeUrl(search);
+    const more = listings.length - cards.length;
+    const subject =
+      listings.length === 1
+        ? `New listing ${description}: ${cards[0].address}`
+        : `${listings.length} new listings ${description}`;
+
+    const text = [
+      search.name ? `Hi ${search.name},` : "Hi,",
+      "",
+      `These listings match your saved search (${description}):`,
+      "",
+      ...cards.flatMap((card) => [
+        card.address,
+        describeCard(card),
+        card.shareUrl || "",
+        "",
+      ]),
+      more > 0 ? `...and ${more} more.\n` : null,
+      `Stop these alerts: ${unsubscribeUrl}`,
+    ]
+      .filter((line) => line !== null)
+      .join("\n");
+
+    const html = [
+      `<p>${escapeHtml(search.name ? `Hi ${search.name},` : "Hi,")}</p>`,
+      `<p>These listings match your saved search (${escapeHtml(description)}):</p>`,
+      ...cards.map((card) => {
+        // Relative /media URLs don't resolve in a mail client
+        const image = card.thumbnailUrl?.startsWith("http")
+          ? `<img src="${escapeHtml(card.thumbnailUrl)}" alt="" width="320"><br>`
+          : "";
+        return (
+          `<p>${image}<a href="${escapeHtml(card.shareUrl || "#")}">${escapeHtml(card.address)}</a><br>` +
+          `${escapeHtml(describeCard(card))}</p>`
+        );
+      }),
+      more > 0 ? `<p>...and ${more} more.</p>` : "",
+      `<p><a href="${escapeHtml(unsubscribeUrl)}">Stop these alerts</a></p>`,
+    ].join("\n");
+
+    return { type: "alert", search, listings: cards, unsubscribeUrl, subject, text, html };
+  }
+
+  /**
+   * Alerts every active saved search about matching listings in a change set.
+   * A failed delivery is logged and doesn't stop the other searches.
+   * @param {object} changes A change set from ScraperService.recordChanges.
+   * @param {Array<object>} listings Listings of the new snapshot.
+   * @returns {Promise<{searches: number, notified: number, failed: number}>}
+   */
+  async evaluate(changes, listings) {
+    const listingsByKey = new Map(listings.map((listing) => [listingKey(listing), listing]));
+    const searches = this.store.list({ active: true });
+    const result = { searches: searches.length, notified: 0, failed: 0 };
+
+    for (const search of searches) {
+      const matches = this.findMatches(search, changes, listingsByKey);
+      if (!matches.length) continue;
+      try {
+        await this.notifier.notify(this.buildAlert(search, matches));
+        this.store.recordNotified(search.id, matches.map(listingKey));
+        result.notified++;
+      } catch (error) {
+        console.error(`Error sending alert for saved search ${search.id}:`, error.message);
+        result.failed++;
+      }
+    }
+
+    console.log(
+      `Saved search alerts: ${result.notified} sent, ${result.failed} failed, ${result.searches} searches checked.`
+    );
+    return result;
+  }
+}
@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import { readJsonFile, writeJsonFile } from "./utils.js";
+
+/**
+ * Base class for chat session stores. Sessions are plain JSON-serializable
+ * objects keyed by session ID; every store tracks `lastActive` and treats a
+ * session as expired once it is older than the configured timeout.
+ */
+class SessionStore {
+  /**
+   * @param {object} options
+   * @param {number} options.timeoutMs Idle time after which a session expires.
+   */
+  constructor({ timeoutMs }) {
+    this.timeoutMs = timeoutMs;
+  }
+
+  isExpired(session, now = Date.now()) {
+    return now - session.lastActive > this.timeoutMs;
+  }
+
+  /**
+   * Returns the session, or null if it is unknown or has expired.
+   * @param {string} sessionId
+   * @returns {Promise<object|null>}
+   */
+  async get(sessionId) {
+    const session = await this.read(sessionId);
+    if (!session || this.isExpired(session)) return null;
+    return session;
+  }
+
+  async has(sessionId) {
+    return (await this.get(sessionId)) !== null;
+  }
+
+  /**
+   * Marks a session as active now, pushing back its expiry.
+   * @param {string} sessionId
+   * @returns {Promise<object|null>} The refreshed session.
+   */
+  async touch(sessionId) {
+    const session = await this.get(sessionId);
+    if (!session) return null;
+    session.lastActive = Date.now();
+    await this.set(sessionId, session);
+    return session;
+  }
+
+  /**
+   * Counts the sessions that have not expired yet.
+   * @returns {Promise<number>}
+   */
+  async count(now = Date.now()) {
+    const sessions = await this.list();
+    return sessions.filter((session) => !this.isExpired(session, now)).length;
+  }
+
+  /**
+   * Removes every expired session from the store.
+   * @returns {Promise<Array<{id: string}>>} The sessions that were removed.
+   */
+  async expire(now = Date.now()) {
+    const expired = (await this.list()).filter((session) =>
+      this.isExpired(session, now)
+    );
+    for (const session of expired) {
+      await this.delete(session.id);
+    }
+    return expired;
+  }
+}
+
+/**
+ * Keeps sessions in process memory. Sessions do not survive a restart.
+ */
+class MemorySessionStore extends SessionStore {
+  constructor(options) {
+    super(options);
+    this.sessions = new Map();
+  }
+
+  async read(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async set(sessionId, session) {
+    this.sessions.set(sessionId, session);
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async list() {
+    return [...this.sessions].map(([id, session]) => ({ id, ...session }));
+  }
+}
+
+/**
+ * Keeps sessions in memory and mirrors them to a JSON file on every write.
+ */
+class JsonFileSessionStore extends MemorySessionStore {
+  constructor({ fileName, ...options }) {
+    super(options);
+    this.fileName = fileName;
+    this.sessions = new Map(Object.entries(readJsonFile(fileName, {})));
+  }
+
+  persist() {
+    writeJsonFile(this.fileName, Object.fromEntries(this.sessions));
+  }
+
+  async set(sessionId, session) {
+    await super.set(sessionId, session);
+    this.persist();
+  }
+
+  async delete(sessionId) {
+    await super.delete(sessionId);
+    this.persist();
+  }
+}
+
+/**
+ * Keeps sessions in a SQLite database via better-sqlite3.
+ */
+class SqliteSessionStore extends SessionStore {
+  constructor({ db, ...options }) {
+    super(options);
+    this.db = db;
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        last_active INTEGER NOT NULL
+      )`
+    );
+    this.statements = {
+      read: this.db.prepare("SELECT data FROM sessions WHERE id = ?"),
+      set: this.db.prepare(
+        `INSERT INTO sessions (id, data, last_active) VALUES (?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET data = excluded.data, last_active = excluded.last_active`
+      ),
+      delete: this.db.prepare("DELETE FROM sessions WHERE id = ?"),
+      list: this.db.prepare("SELECT id, data FROM sessions"),
+      count: this.db.prepare(
+        "SELECT COUNT(*) AS count FROM sessions WHERE last_active >= ?"
+      ),
+      expired: this.db.prepare("SELECT id, data FROM sessions WHERE last_active < ?"),
+      deleteExpired: this.db.prepare("DELETE FROM sessions WHERE last_active < ?"),
+    };
+  }
+
+  async read(sessionId) {
+    const row = this.statements.read.get(sessionId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async set(sessionId, session) {
+    this.statements.set.run(sessionId, JSON.stringify(session), session.lastActive);
+  }
+
+  async delete(sessionId) {
+    this.statements.delete.run(sessionId);
+  }
+
+  async list() {
+    return this.statements.list
+      .all()
+      .map((row) => ({ id: row.id, ...JSON.parse(row.data) }));
+  }
+
+  async count(now = Date.now()) {
+    return this.statements.count.get(now - this.timeoutMs).count;
+  }
+
+  async expire(now = Date.now()) {
+    const cutoff = now - this.timeoutMs;
+    const expired = this.statements.expired
+      .all(cutoff)
+      .map((row) => ({ id: row.id, ...JSON.parse(row.data) }));
+    this.statements.deleteExpired.run(cutoff);
+    return expired;
+  }
+}
+
+/**
+ * Creates the session store selected in config.
+ * @param {object} options The `sessions` section of config.
+ * @returns {Promise<SessionStore>}
+ */
+async function createSessionStore({ store, timeoutMs, jsonFile, sqliteFile }) {
+  switch (store) {
+    case "memory":
+      return new MemorySessionStore({ timeoutMs });
+    case "json":
+      return new JsonFileSessionStore({ timeoutMs, fileName: jsonFile });
+    case "sqlite": {
+      // Only load the native module when the SQLite backend is selected
+      const { default: Database } = await import("better-sqlite3");
+      fs.mkdirSync(path.dirname(sqliteFile), { recursive: true });
+      return new SqliteSessionStore({ timeoutMs, db: new Database(sqliteFile) });
+    }
+    default:
+      throw new Error(`Unknown session store "${store}"`);
+  }
+}
+
+export {
+  SessionStore,
+  MemorySessionStore,
+  JsonFileSessionStore,
+  SqliteSessionStore,
+  createSessionStore,
+};
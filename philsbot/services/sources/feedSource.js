@@ -0,0 +1,105 @@
+import fs from "fs";
+import path from "path";
+import { parseCsv } from "../utils.js";
+import { parseAddress } from "../parsers.js";
+import { formatPrice } from "../locale.js";
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(String(value).replace(/[$,]/g, ""));
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Converts a feed record to the scraped listing shape. Records that already
+ * have a `location` object (e.g. an exported snapshot) are kept as they are;
+ * flat records use the columns listingId, mlsNumber, price, status, address,
+ * city, postalCode, neighborhood, latitude, longitude, bedrooms, bathrooms,
+ * floorArea (sq ft), yearBuilt, taxes (annual), strataFee (monthly),
+ * description, shareUrl and imageUrl.
+ * @param {object} record A JSON object or CSV row.
+ * @returns {object}
+ */
+export const normalizeFeedRecord = (record) => {
+  if (record.location && typeof record.location === "object") return record;
+
+  const amount = toNumber(record.price);
+  const floorArea = toNumber(record.floorArea);
+  const taxes = toNumber(record.taxes);
+  const strataFee = toNumber(record.strataFee);
+  const address = parseAddress(
+    [record.address, record.city, record.postalCode].filter(Boolean).join(", ")
+  );
+
+  return {
+    listingId: record.listingId ? String(record.listingId) : undefined,
+    shareUrl: record.shareUrl || undefined,
+    price: {
+      amount,
+      formatted: formatPrice(amount) ?? "",
+    },
+    status: record.status || "",
+    location: {
+      ...address,
+      city: address.city || record.city || null,
+      neighborhood: record.neighborhood || address.neighborhood,
+      latitude: toNumber(record.latitude),
+      longitude: toNumber(record.longitude),
+    },
+    imageUrl: record.imageUrl || null,
+    details: {
+      mlsNumber: record.mlsNumber || undefined,
+      bedrooms: toNumber(record.bedrooms) ?? undefined,
+      bathrooms: toNumber(record.bathrooms) ?? undefined,
+      floorArea: floorArea == null
+        ? undefined
+        : { sqft: floorArea, sqm: Math.round(floorArea * 0.092903) },
+    },
+    detailedInfo: {
+      description: record.description || "",
+      features: { yearBuilt: toNumber(record.yearBuilt) },
+      taxes: taxes == null ? null : { amount: taxes, year: null },
+      strataFee: strataFee == null ? null : { monthly: strataFee },
+    },
+  };
+};
+
+/**
+ * Imports listings from a local JSON (array of listings) or CSV file.
+ */
+export class FeedSource {
+  /**
+   * @param {object} definition
+   * @param {string} definition.id Source ID used for attribution.
+   * @param {string} [definition.name] Display name.
+   * @param {string} definition.file Path to the feed; relative paths resolve from the sources file.
+   * @param {string} [definition.format] json or csv; defaults to the file extension.
+   * @param {object} context
+   * @param {string} context.baseDir Directory relative paths resolve against.
+   */
+  constructor({ id, name, file, format }, { baseDir }) {
+    if (!file) throw new Error(`Source "${id}" needs a file`);
+    this.id = id;
+    this.name = name || id;
+    this.type = "feed";
+    this.file = path.resolve(baseDir, file);
+    this.format = (format || path.extname(file).slice(1)).toLowerCase();
+    if (!["json", "csv"].includes(this.format)) {
+      throw new Error(`Source "${id}" has unsupported feed format "${this.format}"`);
+    }
+  }
+
+  /**
+   * Reads the feed.
+   * @returns {Promise<Array<object>>}
+   */
+  async fetchListings() {
+    const text = await fs.promises.readFile(this.file, "utf8");
+    const records = this.format === "csv" ? parseCsv(text) : JSON.parse(text);
+    if (!Array.isArray(records)) {
+      throw new Error(`Feed ${this.file} must contain an array of listings`);
+    }
+    console.log(`[${this.id}] Imported ${records.length} listings from ${this.file}`);
+    return records.map(normalizeFeedRecord);
+  }
+}
@@ -0,0 +1,115 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { MyRealPageSource } from "./myRealPageSource.js";
+import { FeedSource } from "./feedSource.js";
+
+// Used when no sources file is configured
+export const DEFAULT_SOURCES = [
+  {
+    id: "dorisgee",
+    name: "Doris Gee",
+    type: "myrealpage",
+    baseUrl: "https://dorisgee.com/mylistings.html",
+  },
+];
+
+// Source factories by type; custom adapters add theirs with registerSourceType
+const sourceTypes = new Map([
+  ["myrealpage", (definition, context) => new MyRealPageSource(definition, context)],
+  ["feed", (definition, context) => new FeedSource(definition, context)],
+]);
+
+/**
+ * Registers a custom source type. A source is an object with `id`, `name`,
+ * `type` and an async `fetchListings()` returning listings in the scraped shape.
+ * @param {string} type The `type` used in source definitions.
+ * @param {Function} factory (definition, { crawler, baseDir, report }) => source.
+ */
+export function registerSourceType(type, factory) {
+  sourceTypes.set(type, factory);
+}
+
+/**
+ * Creates a source from its definition. Definitions of type "module" load a
+ * custom adapter whose default export is a factory, from `module` resolved
+ * against `baseDir`.
+ * @param {object} definition A source definition with `id` and `type`.
+ * @param {object} context
+ * @param {Crawler} context.crawler The shared crawler.
+ * @param {string} context.baseDir Directory relative paths resolve against.
+ * @param {Function} context.report Receives progress events ({ type, source, ... }) while scraping.
+ * @returns {Promise<object>} The source.
+ */
+export async function createSource(definition, context) {
+  if (!definition.id) throw new Error("Listing sources need an id");
+
+  let factory = sourceTypes.get(definition.type);
+  if (definition.type === "module") {
+    const moduleUrl = pathToFileURL(path.resolve(context.baseDir, definition.module)).href;
+    factory = (await import(moduleUrl)).default;
+    if (typeof factory !== "function") {
+      throw new Error(`Source module ${definition.module} must default-export a factory`);
+    }
+  }
+  if (!factory) {
+    throw new Error(`Unknown listing source type "${definition.type}" for "${definition.id}"`);
+  }
+
+  const source = await factory(definition, context);
+  if (typeof source?.fetchListings !== "function") {
+    throw new Error(`Source "${definition.id}" has no fetchListings()`);
+  }
+  source.id = definition.id;
+  source.name = source.name || definition.name || definition.id;
+  return source;
+}
+
+/**
+ * Namespaces a site's listing ID with the source ID, since two sites may both
+ * have a listing "123". Listings kept from the previous snapshot already are.
+ * @param {object} source
+ * @param {object} listing
+ * @returns {string|undefined}
+ */
+const sourceListingId = (source, listing) => {
+  const { listingId } = listing;
+  if (!listingId) return undefined;
+  return String(listingId).startsWith(`${source.id}:`) ? listingId : `${source.id}:${listingId}`;
+};
+
+/**
+ * Merges the listings of several sources into one set. Each listing gets a
+ * `sources` list attributing it to where it was found and a `listingId`
+ * prefixed with the source ID; a listing with the same MLS number in several
+ * sources is kept once, from the first source listed.
+ * @param {Array<{source: object, listings: Array<object>}>} results In source priority order.
+ * @returns {Array<object>}
+ */
+export function mergeSourceResults(results) {
+  const merged = [];
+  const byMlsNumber = new Map();
+
+  for (const { source, listings } of results) {
+    for (const listing of listings) {
+      const attribution = { id: source.id, name: source.name, url: listing.shareUrl || null };
+      const mlsNumber = listing.details?.mlsNumber;
+      const existing = mlsNumber && byMlsNumber.get(mlsNumber);
+      if (existing) {
+        if (!existing.sources.some((entry) => entry.id === source.id)) {
+          existing.sources.push(attribution);
+        }
+        continue;
+      }
+
+      const { sources, ...fields } = listing;
+      const record = {
+        ...fields,
+        listingId: sourceListingId(source, listing),
+        sources: [attribution],
+      };
+      if (mlsNumber) byMlsNumber.set(mlsNumber, record);
+      merged.push(record);
+    }
+  }
+  return merged;
+}
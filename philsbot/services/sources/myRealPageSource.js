@@ -0,0 +1,165 @@
+import * as cheerio from "cheerio";
+import {
+  LISTING_SELECTORS,
+  extractListingInfo,
+  extractGallery,
+  extractCoordinates,
+  parseDetailedInfo,
+} from "../parsers.js";
+
+// Statuses that mean the rest of the results are off the market
+const INACTIVE_STATUSES = ["not active", "inactive", "sold", "pending"];
+
+/**
+ * Crawls a myRealPage-style listings site: paginated result pages, then the
+ * detail page of every listing found.
+ */
+export class MyRealPageSource {
+  /**
+   * @param {object} definition
+   * @param {string} definition.id Source ID used for attribution.
+   * @param {string} [definition.name] Display name.
+   * @param {string} definition.baseUrl The first results page.
+   * @param {number} [definition.maxPages] Most result pages to crawl.
+   * @param {string} [definition.pageParam] Query parameter holding the page number.
+   * @param {object} [definition.selectors] Overrides for LISTING_SELECTORS.
+   * @param {object} context
+   * @param {Crawler} context.crawler The shared crawler.
+   * @param {Function} [context.report] Receives progress events of the running scrape.
+   */
+  constructor(
+    { id, name, baseUrl, maxPages = 20, pageParam = "_pg", selectors = {} },
+    { crawler, report = () => {} }
+  ) {
+    if (!baseUrl) throw new Error(`Source "${id}" needs a baseUrl`);
+    this.id = id;
+    this.name = name || id;
+    this.type = "myrealpage";
+    this.baseUrl = baseUrl;
+    this.maxPages = maxPages;
+    this.pageParam = pageParam;
+    this.selectors = { ...LISTING_SELECTORS, ...selectors };
+    this.crawler = crawler;
+    this.report = report;
+  }
+
+  pageUrl(page) {
+    const url = new URL(this.baseUrl);
+    url.searchParams.set(this.pageParam, page);
+    return url.toString();
+  }
+
+  async getLinksFromPage(url) {
+    const { data } = await this.crawler.fetch(url);
+    const $ = cheerio.load(data);
+
+    const listings = $(this.selectors.result)
+      .map((i, element) => extractListingInfo($, element, this.selectors))
+      .get();
+
+    if (listings.length === 0) {
+      return { listings: [], foundInactive: true };
+    }
+
+    const foundInactive = listings.some((listing) =>
+      INACTIVE_STATUSES.some((status) => listing.status.toLowerCase().includes(status))
+    );
+
+    return { listings, foundInactive };
+  }
+
+  /**
+   * Fetches a listing's detail page.
+   * @param {string} shareUrl
+   * @returns {Promise<{detailedInfo: object, gallery: Array<string>, coordinates: object|null}|null>}
+   *   null when it failed.
+   */
+  async scrapeListingDetails(shareUrl) {
+    try {
+      const { data } = await this.crawler.fetch(shareUrl);
+      const $ = cheerio.load(data);
+      const detailedInfo = parseDetailedInfo($, $(this.selectors.detailContainer).first());
+      this.report({ type: detailedInfo ? "detail" : "detailFailed", source: this.id, url: shareUrl });
+      if (!detailedInfo) return null;
+      return {
+        detailedInfo,
+        gallery: extractGallery($, shareUrl, this.selectors.gallery),
+        coordinates: extractCoordinates($),
+      };
+    } catch (error) {
+      console.error(
+        `Error fetching the listing details from ${shareUrl}:`,
+        error.message
+      );
+      this.report({ type: "detailFailed", source: this.id, url: shareUrl, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Crawls the result pages until one lists inactive listings, then the detail pages.
+   * @returns {Promise<Array<object>>}
+   * @throws When the first results page can't be fetched.
+   */
+  async fetchListings() {
+    let allListings = [];
+    let currentPage = 1;
+    let foundInactive = false;
+
+    while (!foundInactive && currentPage <= this.maxPages) {
+      const pageUrl = this.pageUrl(currentPage);
+      console.log(`[${this.id}] Scraping page ${currentPage}: ${pageUrl}`);
+
+      let page;
+      try {
+        page = await this.getLinksFromPage(pageUrl);
+      } catch (error) {
+        // Without the first page the site is down; a later page just ends the crawl
+        if (currentPage === 1) throw error;
+        console.error(`[${this.id}] Error fetching the page ${pageUrl}:`, error.message);
+        this.report({ type: "pageFailed", source: this.id, url: pageUrl, error: error.message });
+        break;
+      }
+      const { listings, foundInactive: pageHasInactive } = page;
+      this.report({ type: "page", source: this.id, url: pageUrl, listings: listings.length });
+
+      if (listings.length === 0) {
+        console.log(`[${this.id}] No listings found on page ${currentPage}. Stopping scrape.`);
+        break;
+      }
+
+      allListings = allListings.concat(listings);
+      foundInactive = pageHasInactive;
+
+      if (foundInactive) {
+        console.log(`[${this.id}] Found inactive listing(s) on page ${currentPage}. Stopping scrape.`);
+      } else {
+        console.log(
+          `[${this.id}] Completed scraping page ${currentPage}. Found ${listings.length} listings.`
+        );
+      }
+      currentPage++;
+    }
+
+    console.log(`[${this.id}] Total listings found: ${allListings.length}`);
+
+    // Queued all at once; the crawler limits how many are in flight and spaces them per host
+    // Listings whose details failed are kept with null detailedInfo for the quality report
+    return Promise.all(
+      allListings.map(async (listing) => {
+        const { coordinates, ...details } = (await this.scrapeListingDetails(listing.shareUrl)) || {};
+        return {
+          ...listing,
+          location: {
+            ...listing.location,
+            latitude: coordinates?.latitude ?? null,
+            longitude: coordinates?.longitude ?? null,
+          },
+          detailedInfo: null,
+          gallery: [],
+          ...details,
+        };
+      })
+    );
+  }
+}
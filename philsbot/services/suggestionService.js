@@ -0,0 +1,158 @@
+import Ajv from "ajv";
+import config from "../config.js";
+import { DEFAULT_LOCALE, formatPrice, languageName } from "./locale.js";
+
+// Schema sent to the model as a strict structured output
+const RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    quick_replies: { type: "array", items: { type: "string" } },
+  },
+  required: ["quick_replies"],
+  additionalProperties: false,
+};
+
+// Stricter schema the model output is validated against; strict mode can't express these limits
+const validateResponse = new Ajv({ allErrors: true }).compile({
+  ...RESPONSE_SCHEMA,
+  properties: {
+    quick_replies: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", minLength: 1, maxLength: 80 },
+    },
+  },
+});
+
+/**
+ * Builds the system prompt for the configured number of suggestions and tone.
+ * @param {object} options The `suggestions` section of config.
+ * @param {string} language Language the suggestions are written in, e.g. "Simplified Chinese".
+ * @returns {string}
+ */
+const buildInstructions = ({ count, tone }, language) => `You generate quick reply suggestions for a visitor chatting with a real estate assistant for Metro Vancouver listings.
+
+**Input:** JSON with the recent conversation (oldest first), the listings mentioned in the latest answer, and the questions the visitor already asked.
+
+**Task:** Suggest ${count} distinct follow-up messages the visitor could send next. They should:
+
+* **Be short.** 2-10 words each.
+* **Follow from the latest answer** and the conversation so far, referring to specific listings by address or MLS number when helpful.
+* **Offer different directions.** No two suggestions should ask the same thing.
+* **Not repeat anything the visitor already asked.**
+* **Be phrased as the visitor speaking to the assistant**, in a ${tone} tone.
+* **Be written in ${language}**, keeping MLS numbers and street addresses as they are.
+
+**Output:** JSON of the form { "quick_replies": ["...", "..."] } with exactly ${count} entries.`;
+
+// Lowercase and strip punctuation so near-identical phrasings compare equal
+const normalize = (text) =>
+  text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, "").replace(/\s+/g, " ").trim();
+
+/**
+ * Parses and validates a model response.
+ * @param {string} content Raw completion text.
+ * @returns {{replies: Array<string>|null, error: string|null}}
+ */
+const parseResponse = (content) => {
+  let json;
+  try {
+    json = JSON.parse(content);
+  } catch (error) {
+    return { replies: null, error: `not valid JSON (${error.message})` };
+  }
+  if (!validateResponse(json)) {
+    const details = validateResponse.errors
+      .map((error) => `${error.instancePath || "response"} ${error.message}`)
+      .join("; ");
+    return { replies: null, error: `does not match the schema (${details})` };
+  }
+  return { replies: json.quick_replies, error: null };
+};
+
+/**
+ * Drops suggestions that repeat an earlier visitor message or each other.
+ * @param {Array<string>} replies Suggestions from the model.
+ * @param {Array<string>} askedQuestions Messages the visitor already sent.
+ * @returns {Array<string>}
+ */
+const dedupeReplies = (replies, askedQuestions) => {
+  const seen = new Set(askedQuestions.map(normalize));
+  return replies
+    .map((reply) => reply.trim())
+    .filter((reply) => {
+      const key = normalize(reply);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Generates quick reply suggestions for the latest assistant answer.
+ * The model is asked for strict JSON; an invalid response gets one repair retry.
+ * @param {OpenAIProvider|MockProvider} provider The LLM provider.
+ * @param {object} context
+ * @param {Array<{role: string, content: string}>} context.messages Recent conversation, oldest first, ending with the answer.
+ * @param {Array<object>} [context.listings] Listings the answer refers to or tools returned (summarizeListing summaries).
+ * @param {string} [context.locale] The session's locale; suggestions are written in its language.
+ * @returns {Promise<Array<string>>} Up to `config.suggestions.count` suggestions; [] on failure.
+ */
+async function generateSuggestions(provider, { messages, listings = [], locale = DEFAULT_LOCALE }) {
+  const options = config.suggestions;
+  if (!options.count) return [];
+
+  const askedQuestions = messages
+    .filter((message) => message.role === "user")
+    .map((message) => message.content);
+  const input = {
+    conversation: messages.map(({ role, content }) => ({ role, content })),
+    listingsMentioned: listings.map((listing) => ({
+      mlsNumber: listing.mlsNumber,
+      address: listing.address,
+      price: formatPrice(listing.price, locale) || listing.priceFormatted,
+      bedrooms: listing.bedrooms,
+      bathrooms: listing.bathrooms,
+      status: listing.status,
+    })),
+    alreadyAsked: askedQuestions,
+  };
+  const completionMessages = [
+    { role: "system", content: buildInstructions(options, languageName(locale)) },
+    { role: "user", content: JSON.stringify(input) },
+  ];
+
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const content = await provider.complete({
+        model: options.model,
+        maxTokens: 200,
+        temperature: options.temperature,
+        messages: completionMessages,
+        responseFormat: {
+          type: "json_schema",
+          json_schema: { name: "quick_replies", strict: true, schema: RESPONSE_SCHEMA },
+        },
+      });
+      const { replies, error } = parseResponse(content);
+      if (replies) {
+        return dedupeReplies(replies, askedQuestions).slice(0, options.count);
+      }
+
+      console.error(`Invalid suggestions response, ${error}:`, content);
+      // Show the model its output and what was wrong with it for the repair attempt
+      completionMessages.push(
+        { role: "assistant", content: content || "" },
+        {
+          role: "user",
+          content: `That response was ${error}. Reply again with only the JSON object.`,
+        }
+      );
+    }
+  } catch (error) {
+    console.error("error generating suggestions:", error);
+  }
+  return [];
+}
+
+export { generateSuggestions };
@@ -0,0 +1,59 @@
+// Function tools the assistant can call during a run, keyed by name
+const tools = new Map();
+
+/**
+ * Registers a function tool for assistant runs.
+ * @param {object} tool
+ * @param {string} tool.name The function name the assistant calls.
+ * @param {string} tool.description What the tool does, for the model.
+ * @param {object} tool.parameters JSON schema of the arguments.
+ * @param {function(object, object): Promise<any>} tool.handler Receives the parsed
+ *   arguments and the call context ({ sessionId, session }); its result is sent
+ *   back to the run as JSON.
+ */
+function registerTool({ name, description, parameters, handler }) {
+  tools.set(name, { name, description, parameters, handler });
+}
+
+/**
+ * Returns the registered tools in the format expected by the Assistants API.
+ * @returns {Array<object>}
+ */
+function getToolDefinitions() {
+  return [...tools.values()].map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }));
+}
+
+/**
+ * Runs the tool calls of a run that requires action.
+ * Failures are reported to the model as `{ error }` so the run can continue.
+ * @param {Array<object>} toolCalls The run's `required_action.submit_tool_outputs.tool_calls`.
+ * @param {object} context Passed to every handler.
+ * @returns {Promise<Array<{tool_call_id: string, output: string, name: string, result: any}>>}
+ */
+async function runToolCalls(toolCalls, context) {
+  return Promise.all(
+    toolCalls.map(async (toolCall) => {
+      const { name, arguments: rawArguments } = toolCall.function;
+      let result;
+      try {
+        const tool = tools.get(name);
+        if (!tool) throw new Error(`Unknown tool "${name}"`);
+        result = await tool.handler(JSON.parse(rawArguments || "{}"), context);
+      } catch (error) {
+        console.error(`Error running tool ${name}:`, error);
+        result = { error: error.message };
+      }
+      return {
+        tool_call_id: toolCall.id,
+        output: JSON.stringify(result),
+        name,
+        result,
+      };
+    })
+  );
+}
+
+export { registerTool, getToolDefinitions, runToolCalls };
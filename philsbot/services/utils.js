@@ -1,9 +1,13 @@
+import fs from 'fs';
+import path from 'path';
+
 // Clean up text by removing extra whitespace
 export const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
 
-// Convert price string to number
+// Convert price string to number; null when there is no price (e.g. "Price on request")
 export const parsePrice = (priceStr) => {
-  return parseFloat(priceStr.replace(/[$,]/g, '')) || 0;
+  const price = parseFloat(String(priceStr || '').replace(/[$,\s]/g, ''));
+  return Number.isNaN(price) ? null : price;
 };
 
 // Parse dimensions string (e.g., "20'6\" × 15'2\"")
@@ -18,4 +22,89 @@ export const parseDimensions = (dimStr) => {
 // Format date to YYYY-MM-DD
 export const formatDate = (date) => {
   return new Date(date).toISOString().split('T')[0];
-};
\ No newline at end of file
+};
+
+// Read a JSON file, returning the fallback when it is missing or unreadable
+export const readJsonFile = (fileName, fallback = null) => {
+  try {
+    return JSON.parse(fs.readFileSync(fileName, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading ${fileName}:`, error.message);
+    }
+    return fallback;
+  }
+};
+
+// Write a file atomically (temp file + rename) so a crash never leaves half a file
+export const writeTextFile = (fileName, text) => {
+  fs.mkdirSync(path.dirname(fileName), { recursive: true });
+  const tempFile = `${fileName}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, text);
+  fs.renameSync(tempFile, fileName);
+};
+
+// Write JSON atomically; see writeTextFile
+export const writeJsonFile = (fileName, data) => writeTextFile(fileName, JSON.stringify(data, null, 2));
+
+// Quote a CSV cell; cells that spreadsheets would run as formulas are prefixed with '
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  const isNumber = /^[+-]?\d[\d.]*$/.test(text);
+  if (!isNumber && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Convert rows to CSV; columns is a list of [header, row => value] pairs
+export const toCsv = (rows, columns) =>
+  [
+    columns.map(([header]) => csvCell(header)).join(','),
+    ...rows.map((row) => columns.map(([, value]) => csvCell(value(row))).join(',')),
+  ].join('\r\n') + '\r\n';
+
+// Parse CSV text into objects keyed by the header row; handles quoted cells with commas, quotes and newlines
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) => r.some((value) => value.trim()));
+  const keys = header.map((key) => key.trim());
+  return records.map((record) =>
+    Object.fromEntries(keys.map((key, index) => [key, (record[index] ?? '').trim()]))
+  );
+};
@@ -0,0 +1,165 @@
+import path from "path";
+import { readJsonFile, writeJsonFile } from "./utils.js";
+
+// Names of the daily snapshot uploads, including ones made before the manifest existed
+const SNAPSHOT_UPLOAD_PATTERN = /^listings\d{4}-\d{2}-\d{2}\.json$/;
+
+// Vector store file states that won't change any more
+const FINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+/**
+ * Runs a provider call on a file, counting a file that's already gone as done.
+ * @param {Function} call
+ * @returns {Promise<void>}
+ */
+const unlessGone = async (call) => {
+  try {
+    await call();
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+};
+
+/**
+ * Keeps the assistant's vector store holding exactly one listings snapshot.
+ * Uploaded file IDs are tracked in a manifest per snapshot; once a new
+ * snapshot has finished indexing, the files of superseded snapshots are
+ * detached from the store and deleted.
+ */
+export class VectorStoreSync {
+  /**
+   * @param {object} options
+   * @param {OpenAIProvider|MockProvider} options.provider The LLM provider.
+   * @param {string} options.vectorStoreId The vector store to keep in sync.
+   * @param {string} options.manifestFile JSON file tracking uploaded snapshot files.
+   * @param {number} options.pollIntervalMs Delay between indexing status checks.
+   * @param {number} options.indexTimeoutMs How long to wait for indexing before giving up.
+   */
+  constructor({ provider, vectorStoreId, manifestFile, pollIntervalMs, indexTimeoutMs }) {
+    this.provider = provider;
+    this.vectorStoreId = vectorStoreId;
+    this.manifestFile = manifestFile;
+    this.pollIntervalMs = pollIntervalMs;
+    this.indexTimeoutMs = indexTimeoutMs;
+  }
+
+  loadManifest() {
+    const manifest = readJsonFile(this.manifestFile, {});
+    return { files: [], ...manifest, vectorStoreId: this.vectorStoreId };
+  }
+
+  saveManifest(manifest) {
+    writeJsonFile(this.manifestFile, manifest);
+  }
+
+  /**
+   * Finds snapshot files in the store that aren't tracked in the manifest,
+   * i.e. uploads made before the manifest existed.
+   * @param {object} manifest
+   * @returns {Promise<Array<{fileId: string, snapshot: string}>>}
+   */
+  async findUntrackedSnapshots(manifest) {
+    const tracked = new Set(manifest.files.map((file) => file.fileId));
+    const untracked = [];
+    for (const { id } of await this.provider.listVectorStoreFiles(this.vectorStoreId)) {
+      if (tracked.has(id)) continue;
+      try {
+        const { filename } = await this.provider.getFile(id);
+        // Leave anything that isn't a listings snapshot alone
+        if (SNAPSHOT_UPLOAD_PATTERN.test(filename)) {
+          untracked.push({ fileId: id, snapshot: filename });
+        }
+      } catch (error) {
+        console.error(`Error reading vector store file ${id}:`, error.message);
+      }
+    }
+    return untracked;
+  }
+
+  /**
+   * Polls a vector store file until it leaves the in-progress state.
+   * @param {string} fileId
+   * @returns {Promise<object>} The vector store file.
+   */
+  async waitForIndexing(fileId) {
+    const deadline = Date.now() + this.indexTimeoutMs;
+    for (;;) {
+      const file = await this.provider.getVectorStoreFile(this.vectorStoreId, fileId);
+      if (FINAL_STATUSES.includes(file.status)) return file;
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for file ${fileId} to be indexed`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Uploads a snapshot and removes the ones it supersedes.
+   * @param {string} fileName The snapshot to upload.
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] Only report what would change.
+   * @returns {Promise<object>} Report of the uploaded and removed files.
+   */
+  async sync(fileName, { dryRun = false } = {}) {
+    const snapshot = path.basename(fileName);
+    const manifest = this.loadManifest();
+    const superseded = [
+      ...manifest.files.map(({ fileId, snapshot: name }) => ({ fileId, snapshot: name })),
+      ...(await this.findUntrackedSnapshots(manifest)),
+    ];
+    const report = {
+      dryRun,
+      vectorStoreId: this.vectorStoreId,
+      snapshot,
+      uploadedFileId: null,
+      removed: [],
+      failedRemovals: [],
+    };
+
+    if (dryRun) {
+      report.removed = superseded;
+      console.log(
+        `[dry run] Would upload ${snapshot} and remove ${superseded.length} superseded file(s).`
+      );
+      return report;
+    }
+
+    // Upload the new snapshot and wait until it is searchable before removing anything
+    const file = await this.provider.uploadFile(fileName, "assistants");
+    report.uploadedFileId = file.id;
+    manifest.files.push({ fileId: file.id, snapshot, uploadedAt: new Date().toISOString() });
+    this.saveManifest(manifest);
+
+    await this.provider.addFileToVectorStore(this.vectorStoreId, file.id);
+    const indexed = await this.waitForIndexing(file.id);
+    if (indexed.status !== "completed") {
+      // Keep the old snapshots so the assistant still has listings to search
+      throw new Error(
+        `Indexing ${snapshot} ended with status ${indexed.status}: ${indexed.last_error?.message || "unknown error"}`
+      );
+    }
+
+    for (const old of superseded) {
+      // The file is removed once it is deleted; anything else is retried on the next sync
+      try {
+        await unlessGone(() =>
+          this.provider.removeFileFromVectorStore(this.vectorStoreId, old.fileId)
+        );
+        await unlessGone(() => this.provider.deleteFile(old.fileId));
+        report.removed.push(old);
+      } catch (error) {
+        console.error(`Error removing file ${old.fileId}:`, error.message);
+        report.failedRemovals.push({ ...old, error: error.message });
+      }
+    }
+
+    const removedIds = new Set(report.removed.map((old) => old.fileId));
+    manifest.files = manifest.files.filter((entry) => !removedIds.has(entry.fileId));
+    this.saveManifest(manifest);
+
+    console.log(
+      `Uploaded ${snapshot} as ${file.id}; removed ${report.removed.length} superseded file(s).`
+    );
+    return report;
+  }
+}
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeAddress, parseStreet } from "../services/addressParser.js";
+
+// Addresses as listing sites write them, with the parts they should parse into
+const ADDRESSES = [
+  {
+    text: "305 2345 MADISON AVE Burnaby North",
+    expected: { unit: "305", streetNumber: "2345", streetName: "Madison", streetType: "Ave", street: "305-2345 Madison Ave", city: "Burnaby", area: "Burnaby North" },
+  },
+  {
+    text: "15 5550 MAPLE RD Richmond",
+    expected: { unit: "15", streetNumber: "5550", streetName: "Maple", streetType: "Rd", street: "15-5550 Maple Rd", city: "Richmond" },
+  },
+  {
+    text: "3 1234 W 10TH AVE Vancouver",
+    expected: { unit: "3", streetNumber: "1234", prefixDirection: "W", streetName: "10th", streetType: "Ave", city: "Vancouver" },
+  },
+  {
+    text: "#1203 - 1500 HOWE ST, Vancouver, BC V6Z 2N1",
+    expected: { unit: "1203", streetNumber: "1500", streetName: "Howe", streetType: "St", street: "1203-1500 Howe St", city: "Vancouver", postalCode: "V6Z 2N1" },
+  },
+  {
+    text: "1203-1500 HOWE ST Vancouver",
+    expected: { unit: "1203", streetNumber: "1500", street: "1203-1500 Howe St" },
+  },
+  {
+    text: "PH2-1288 W GEORGIA STREET Vancouver",
+    expected: { unit: "PH2", streetNumber: "1288", prefixDirection: "W", streetName: "Georgia", streetType: "St", street: "PH2-1288 W Georgia St" },
+  },
+  {
+    text: "Unit 5, 123 Main St, Vancouver",
+    expected: { unit: "5", streetNumber: "123", streetName: "Main", streetType: "St" },
+  },
+  {
+    text: "1500 HOWE ST #1203 Vancouver",
+    expected: { unit: "1203", streetNumber: "1500", streetName: "Howe", street: "1203-1500 Howe St" },
+  },
+  {
+    text: "6188 NO. 3 ROAD Richmond",
+    expected: { unit: null, streetNumber: "6188", streetName: "No. 3", streetType: "Rd", street: "6188 No. 3 Rd", city: "Richmond" },
+  },
+  {
+    text: "7088 191 ST Surrey",
+    expected: { unit: null, streetNumber: "7088", streetName: "191", streetType: "St", street: "7088 191 St", city: "Surrey" },
+  },
+  {
+    text: "20433 96 AVE Langley",
+    expected: { unit: null, streetNumber: "20433", streetName: "96", streetType: "Ave", city: "Langley" },
+  },
+  {
+    text: "123 1/2 MAIN ST Vancouver",
+    expected: { unit: null, streetNumber: "123 1/2", streetName: "Main", streetType: "St" },
+  },
+  {
+    text: "12 6TH AVE W Vancouver",
+    expected: { unit: null, streetNumber: "12", streetName: "6th", streetType: "Ave", suffixDirection: "W" },
+  },
+  {
+    text: "4500 EAST BLVD Vancouver",
+    expected: { unit: null, streetNumber: "4500", prefixDirection: null, streetName: "East", streetType: "Blvd" },
+  },
+];
+
+for (const { text, expected } of ADDRESSES) {
+  test(`normalizeAddress parses "${text}"`, () => {
+    const location = normalizeAddress(text);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.equal(location[field], value, `${field} of "${text}"`);
+    }
+  });
+}
+
+test("parseStreet leaves a street without a number unparsed", () => {
+  assert.deepEqual(parseStreet("MAIN ST"), {
+    unit: null,
+    streetNumber: null,
+    prefixDirection: null,
+    streetName: "Main",
+    streetType: "St",
+    suffixDirection: null,
+  });
+});
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  initChatService,
+  createSession,
+  refreshSession,
+  processPrompt,
+  submitFeedback,
+} from "../services/chatService.js";
+import { createSessionStore } from "../services/sessionStore.js";
+import { MockProvider } from "../services/providers/mockProvider.js";
+import { registerTool } from "../services/tools.js";
+import { createSearchListingsTool } from "../services/listingSearch.js";
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+const listing = (listingId, mlsNumber, price, bedrooms, location) => ({
+  listingId,
+  shareUrl: `https://example.com/listings/${listingId}`,
+  price: { amount: price, formatted: null },
+  status: "Active",
+  location: { ...location, province: "BC" },
+  imageUrl: null,
+  details: { mlsNumber, bedrooms, bathrooms: 2, floorArea: { sqft: 1500, sqm: 139 } },
+});
+
+const LISTINGS = [
+  listing("1", "R2900001", 1400000, 3, {
+    streetNumber: "123", streetName: "Main", streetType: "St", city: "Burnaby", postalCode: "V5H 1A1",
+  }),
+  listing("2", "R2900002", 1200000, 2, {
+    streetNumber: "9", streetName: "Oak", streetType: "Ave", city: "Richmond", postalCode: "V6X 1A2",
+  }),
+];
+
+/**
+ * Starts the chat service on its own mock provider and session store, so no
+ * test depends on the script position or sessions another test left behind.
+ * @param {string} scriptName A mock provider script in test/fixtures.
+ * @returns {Promise<MockProvider>}
+ */
+const startChat = async (scriptName) => {
+  const provider = new MockProvider({ scriptFile: path.join(fixturesDir, scriptName) });
+  const listingSource = { getLatestListings: () => LISTINGS };
+  registerTool(createSearchListingsTool(listingSource));
+  initChatService({
+    provider,
+    io: { emit() {} },
+    sessionStore: await createSessionStore({ store: "memory", timeoutMs: 60000 }),
+    scraperService: listingSource,
+    // Hands back what would be stored
+    feedbackStore: { record: (feedback, meta) => ({ id: "feedback-1", ...feedback, ...meta }) },
+  });
+  return provider;
+};
+
+// Sends a prompt and collects the events it produced
+const send = async (sessionId, prompt) => {
+  const events = [];
+  await processPrompt(sessionId, prompt, (event, payload) => events.push({ event, payload }));
+  return events;
+};
+
+// The JSON input of the last suggestions request
+const lastSuggestionInput = (provider) =>
+  JSON.parse(provider.lastCompletionRequest.messages.find((message) => message.role === "user").content);
+
+test("a run that calls a tool submits its outputs and streams the reply", async () => {
+  const provider = await startChat("mock-provider-tool-call.json");
+  const sessionId = await createSession({});
+  const events = await send(sessionId, "Any three bedroom homes in Burnaby?");
+
+  const [output] = provider.lastToolOutputs;
+  assert.equal(output.name, "search_listings");
+  assert.deepEqual(
+    JSON.parse(output.output).listings.map((found) => found.mlsNumber),
+    ["R2900001"]
+  );
+
+  const text = events
+    .filter(({ event }) => event === "textDelta")
+    .map(({ payload }) => payload.textDelta.value)
+    .join("");
+  assert.match(text, /^I found one home in Burnaby/);
+  const complete = events.find(({ event }) => event === "responseComplete");
+  assert.match(complete.payload.messageId, /^msg_mock_/);
+
+  const cards = events.find(({ event }) => event === "listing_cards");
+  assert.deepEqual(cards.payload.cards.map((card) => card.mlsNumber), ["R2900001"]);
+  assert.deepEqual(
+    events.find(({ event }) => event === "suggestions").payload.suggestions,
+    ["Tell me more", "Show me similar listings", "How do I book a viewing?"]
+  );
+});
+
+test("suggestions hear about listings the reply refers to without a tool call", async () => {
+  const provider = await startChat("mock-provider-mention.json");
+  const sessionId = await createSession({});
+  await send(sessionId, "Anything else?");
+
+  const input = lastSuggestionInput(provider);
+  assert.deepEqual(
+    input.listingsMentioned.map(({ mlsNumber, price }) => ({ mlsNumber, price })),
+    [{ mlsNumber: "R2900002", price: "$1,200,000" }]
+  );
+  assert.equal(input.conversation.at(-1).role, "assistant");
+  assert.deepEqual(input.alreadyAsked, ["Anything else?"]);
+});
+
+test("feedback is stored with the exchange it rates", async () => {
+  await startChat("mock-provider-tool-call.json");
+  const sessionId = await createSession({});
+  const events = await send(sessionId, "Any three bedroom homes in Burnaby?");
+  const { messageId } = events.find(({ event }) => event === "responseComplete").payload;
+  const session = await refreshSession(sessionId);
+
+  const { feedback, errors } = await submitFeedback(sessionId, session, { messageId, rating: "up" });
+  assert.deepEqual(errors, []);
+  assert.equal(feedback.exchange.prompt.content, "Any three bedroom homes in Burnaby?");
+  assert.match(feedback.exchange.response.content, /^I found one home in Burnaby/);
+
+  const notAResponse = await submitFeedback(sessionId, session, {
+    messageId: feedback.exchange.prompt.messageId,
+    rating: "up",
+  });
+  assert.deepEqual(notAResponse.errors, ["messageId is not a response in this conversation"]);
+  assert.deepEqual((await submitFeedback(sessionId, session, null)).errors, [
+    "feedback details are required",
+  ]);
+});
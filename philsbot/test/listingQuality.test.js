@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkListingQuality } from "../services/listingQuality.js";
+
+const thresholds = { minValidPercent: 80, minListings: 1 };
+
+const listing = (mlsNumber, amount) => ({
+  listingId: `test:${mlsNumber}`,
+  price: { amount, formatted: "" },
+  status: "Active",
+  location: { city: "Burnaby" },
+  details: { mlsNumber },
+  detailedInfo: { description: "" },
+  sources: [{ id: "test" }],
+});
+
+test("invalid listings are kept, flagged with their errors", () => {
+  const { listings, report } = checkListingQuality(
+    [listing("R2900001", 1_400_000), listing("R2900002", 0)],
+    thresholds
+  );
+  assert.equal(listings.length, 2);
+  assert.equal(listings[0].qualityErrors, undefined);
+  assert.deepEqual(listings[1].qualityErrors, ["price.amount must be > 0"]);
+  assert.equal(report.valid, 1);
+  assert.equal(report.invalid, 1);
+  assert.equal(report.passed, false);
+});
+
+test("listings kept from the previous snapshot are checked again", () => {
+  const fixed = { ...listing("R2900002", 1_200_000), qualityErrors: ["price.amount must be > 0"] };
+  const { listings, report } = checkListingQuality([fixed], thresholds);
+  assert.equal(listings[0].qualityErrors, undefined);
+  assert.equal(report.passed, true);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  paymentAmount,
+  mortgageInsurance,
+  propertyTransferTax,
+  validateMortgageInput,
+} from "../services/mortgageCalculator.js";
+
+const input = {
+  price: 800_000,
+  downPayment: 160_000,
+  interestRate: 5,
+  amortizationYears: 25,
+  termYears: 5,
+  paymentFrequency: "monthly",
+};
+
+test("monthly payments compound semi-annually", () => {
+  assert.equal(paymentAmount(500_000, 5, 25, "monthly").toFixed(2), "2908.02");
+});
+
+test("CMHC insurance uses the premium tier of the loan-to-value", () => {
+  const insured = mortgageInsurance({ price: 500_000, downPayment: 35_000, amortizationYears: 25 });
+  assert.deepEqual(insured, {
+    required: true,
+    loanToValuePercent: 93,
+    premiumRatePercent: 4,
+    premium: 18_600,
+  });
+
+  // 30-year amortizations pay a surcharge on top of the tier
+  const extended = mortgageInsurance({ price: 500_000, downPayment: 35_000, amortizationYears: 30 });
+  assert.equal(extended.premiumRatePercent, 4.2);
+  assert.equal(extended.premium, 19_530);
+
+  assert.equal(mortgageInsurance({ price: 500_000, downPayment: 100_000 }).required, false);
+});
+
+test("first-time buyers are exempt on the first $500,000, phased out above $835,000", () => {
+  assert.deepEqual(propertyTransferTax(800_000), {
+    tax: 14_000,
+    exemption: 0,
+    exemptionType: null,
+    payable: 14_000,
+  });
+  assert.deepEqual(propertyTransferTax(800_000, { firstTimeBuyer: true }), {
+    tax: 14_000,
+    exemption: 8_000,
+    exemptionType: "firstTimeBuyer",
+    payable: 6_000,
+  });
+  // $850,000 is 10/25 of the way from the end of the phase-out
+  assert.deepEqual(propertyTransferTax(850_000, { firstTimeBuyer: true }), {
+    tax: 15_000,
+    exemption: 3_200,
+    exemptionType: "firstTimeBuyer",
+    payable: 11_800,
+  });
+  assert.deepEqual(propertyTransferTax(900_000, { firstTimeBuyer: true }), {
+    tax: 16_000,
+    exemption: 0,
+    exemptionType: null,
+    payable: 16_000,
+  });
+});
+
+test("the term is a whole number of years within the amortization", () => {
+  assert.deepEqual(validateMortgageInput(input), []);
+  for (const termYears of [0, -1, 2.5, 26, "5", undefined]) {
+    assert.deepEqual(validateMortgageInput({ ...input, termYears }), [
+      "termYears must be a whole number of years from 1 to the amortization",
+    ]);
+  }
+  assert.deepEqual(validateMortgageInput({ ...input, termYears: 25 }), []);
+});
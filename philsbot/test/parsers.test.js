@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as cheerio from "cheerio";
+import { parseDetailedInfo } from "../services/parsers.js";
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// Loads a saved listing detail page and parses it
+const parseFixture = (name) => {
+  const $ = cheerio.load(fs.readFileSync(path.join(fixturesDir, name), "utf8"));
+  return parseDetailedInfo($, $(".mrp-listing-info-container"));
+};
+
+const room = (floor, type, length, width) => ({ floor, type, dimensions: { length, width } });
+
+test("parseDetailedInfo reads a page laid out in tables", () => {
+  assert.deepEqual(parseFixture("listing-detail-table.html"), {
+    description:
+      "Bright south-facing two bedroom corner home at The Madison, steps to Brentwood Town Centre and the SkyTrain. In-suite laundry, gas fireplace and a large covered balcony.",
+    features: {
+      yearBuilt: 2009,
+      parking: ["Garage; Underground", "Visitor Parking"],
+      heating: ["Baseboard", "Natural Gas"],
+      amenities: ["ClthWsh/Dryr/Frdg/Stve/DW", "Drapes/Window Coverings", "Smoke Alarm"],
+      construction: "Concrete",
+    },
+    rooms: [
+      room("Main", "Living Room", "15'2", "12'6"),
+      room("Main", "Primary Bedroom", "12'0", "11'4"),
+      room("Main", "Kitchen", "9'8", "8'2"),
+      room("Main", "Bedroom", "10'1", "9'6"),
+      room("Main", "Dining Room", "10'0", "9'0"),
+    ],
+    taxes: { amount: 2845.12, year: 2025 },
+    strataFee: { monthly: 450 },
+    lotInfo: { area: { sqft: 0, sqm: 0 } },
+  });
+});
+
+test("parseDetailedInfo reads a page laid out in lists and labelled fields", () => {
+  assert.deepEqual(parseFixture("listing-detail-list.html"), {
+    description:
+      "Family home on a 5,000 sq ft lot in Clayton. Three bedrooms up, a finished basement and a detached double garage off the lane.",
+    features: {
+      yearBuilt: 1998,
+      parking: ["Garage; Double", "RV Parking Avail."],
+      heating: ["Forced Air", "Natural Gas"],
+      amenities: ["Garden", "Playground"],
+      construction: "Frame - Wood",
+    },
+    // The storage row has no dimensions cell and is skipped
+    rooms: [
+      room("Above", "Primary Bedroom", "14'0", "12'0"),
+      room("Below", "Recreation Room", "20'6", "15'2"),
+    ],
+    taxes: { amount: 4123.45, year: 2025 },
+    strataFee: null,
+    lotInfo: { area: { sqft: 5000, sqm: 464.52 } },
+  });
+});
+
+test("parseDetailedInfo returns null without a listing info container", () => {
+  const $ = cheerio.load("<html><body><p>Listing not found</p></body></html>");
+  assert.equal(parseDetailedInfo($, $(".mrp-listing-info-container")), null);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RateLimiter } from "../services/rateLimiter.js";
+
+test("a limiter allows its burst, then asks the client to wait", () => {
+  const limiter = new RateLimiter({ capacity: 2, refillPerMinute: 6 });
+  assert.equal(limiter.consume("a").allowed, true);
+  assert.equal(limiter.consume("a").allowed, true);
+  const rejected = limiter.consume("a");
+  assert.equal(rejected.allowed, false);
+  assert.ok(rejected.retryAfterMs > 0 && rejected.retryAfterMs <= 10000);
+  // Other keys have their own bucket
+  assert.equal(limiter.consume("b").allowed, true);
+});
+
+test("a limiter with no capacity is disabled", () => {
+  const limiter = new RateLimiter({ capacity: 0, refillPerMinute: 0 });
+  for (let i = 0; i < 100; i++) assert.equal(limiter.consume("a").allowed, true);
+  assert.equal(limiter.buckets.size, 0);
+});
+
+test("an enabled limiter must refill", () => {
+  assert.throws(() => new RateLimiter({ capacity: 5, refillPerMinute: 0 }), /refillPerMinute/);
+  assert.throws(() => new RateLimiter({ capacity: 5, refillPerMinute: -1 }), /refillPerMinute/);
+});
+
+test("the bucket map never grows past maxKeys, dropping the least recently used first", () => {
+  const limiter = new RateLimiter({ capacity: 1, refillPerMinute: 1, maxKeys: 3 });
+  for (const key of ["a", "b", "c"]) limiter.consume(key);
+  limiter.consume("a");
+  limiter.consume("d");
+  assert.deepEqual([...limiter.buckets.keys()], ["c", "a", "d"]);
+  for (let i = 0; i < 50; i++) limiter.consume(`ip-${i}`);
+  assert.equal(limiter.buckets.size, 3);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateCriteria, validateSavedSearch } from "../services/savedSearches.js";
+
+test("validateSavedSearch rejects payloads that aren't objects", () => {
+  for (const input of [null, "x", 42, []]) {
+    assert.deepEqual(validateSavedSearch(input), {
+      search: null,
+      errors: ["saved search details are required"],
+    });
+  }
+});
+
+test("validateCriteria rejects criteria that aren't objects", () => {
+  for (const input of [null, "Kitsilano", 5, ["city"]]) {
+    assert.deepEqual(validateCriteria(input).errors, ["criteria must be an object"]);
+  }
+  assert.deepEqual(validateSavedSearch({ criteria: null, email: "a@b.co" }), {
+    search: null,
+    errors: ["criteria must be an object"],
+  });
+});
+
+test("validateSavedSearch keeps valid criteria and a contact", () => {
+  const { search, errors } = validateSavedSearch({
+    email: " Pat@Example.com ",
+    criteria: { city: "Vancouver", maxPrice: 1000000, minBedrooms: 2.4 },
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(search, {
+    name: null,
+    email: "pat@example.com",
+    phone: null,
+    criteria: { city: "Vancouver", maxPrice: 1000000, minBedrooms: 2 },
+  });
+});
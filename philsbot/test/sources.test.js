@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeSourceResults } from "../services/sources/index.js";
+import { listingKey } from "../services/listingDiff.js";
+
+const first = { id: "first", name: "First" };
+const second = { id: "second", name: "Second" };
+
+test("listings of different sources with the same site ID are kept apart", () => {
+  const merged = mergeSourceResults([
+    { source: first, listings: [{ listingId: "123", details: { mlsNumber: "R2900001" } }] },
+    { source: second, listings: [{ listingId: "123", details: { mlsNumber: "R2900002" } }] },
+  ]);
+  assert.deepEqual(merged.map(listingKey), ["first:123", "second:123"]);
+});
+
+test("a listing in several sources is kept once, attributed to each", () => {
+  const merged = mergeSourceResults([
+    { source: first, listings: [{ listingId: "123", details: { mlsNumber: "R2900001" } }] },
+    { source: second, listings: [{ listingId: "9", details: { mlsNumber: "R2900001" } }] },
+  ]);
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].listingId, "first:123");
+  assert.deepEqual(merged[0].sources.map((source) => source.id), ["first", "second"]);
+});
+
+test("listings kept from the previous snapshot aren't prefixed twice", () => {
+  const [previous] = mergeSourceResults([{ source: first, listings: [{ listingId: "123" }] }]);
+  const [kept] = mergeSourceResults([{ source: first, listings: [previous] }]);
+  assert.equal(kept.listingId, "first:123");
+  assert.deepEqual(kept.sources.map((source) => source.id), ["first"]);
+});
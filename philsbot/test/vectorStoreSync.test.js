@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { VectorStoreSync } from "../services/vectorStoreSync.js";
+
+const notFound = () => Object.assign(new Error("No such file"), { status: 404 });
+
+// A provider whose store holds the superseded files; `fail` makes calls throw per file ID
+const fakeProvider = (fail = {}) => {
+  const deleted = [];
+  return {
+    deleted,
+    listVectorStoreFiles: async () => [],
+    uploadFile: async () => ({ id: "file-new" }),
+    addFileToVectorStore: async () => {},
+    getVectorStoreFile: async () => ({ status: "completed" }),
+    removeFileFromVectorStore: async (vectorStoreId, fileId) => {
+      if (fail.detach?.[fileId]) throw fail.detach[fileId]();
+    },
+    deleteFile: async (fileId) => {
+      if (fail.delete?.[fileId]) throw fail.delete[fileId]();
+      deleted.push(fileId);
+    },
+  };
+};
+
+const syncWith = (provider) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "philsbot-sync-"));
+  const manifestFile = path.join(dir, "manifest.json");
+  fs.writeFileSync(
+    manifestFile,
+    JSON.stringify({
+      files: [
+        { fileId: "file-a", snapshot: "listings2026-10-17.json" },
+        { fileId: "file-b", snapshot: "listings2026-10-18.json" },
+      ],
+    })
+  );
+  const sync = new VectorStoreSync({
+    provider,
+    vectorStoreId: "vs-test",
+    manifestFile,
+    pollIntervalMs: 0,
+    indexTimeoutMs: 1000,
+  });
+  return { sync, manifestFile, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+};
+
+test("a file already detached from the store is still deleted", async () => {
+  const provider = fakeProvider({ detach: { "file-a": notFound } });
+  const { sync, manifestFile, cleanup } = syncWith(provider);
+  try {
+    const report = await sync.sync("listings2026-10-19.json");
+    assert.deepEqual(provider.deleted, ["file-a", "file-b"]);
+    assert.deepEqual(report.removed.map((file) => file.fileId), ["file-a", "file-b"]);
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+    assert.deepEqual(manifest.files.map((file) => file.fileId), ["file-new"]);
+  } finally {
+    cleanup();
+  }
+});
+
+test("a file that couldn't be deleted stays in the manifest for the next sync", async () => {
+  const provider = fakeProvider({
+    delete: { "file-a": () => Object.assign(new Error("Server error"), { status: 500 }) },
+  });
+  const { sync, manifestFile, cleanup } = syncWith(provider);
+  try {
+    const report = await sync.sync("listings2026-10-19.json");
+    assert.deepEqual(report.removed.map((file) => file.fileId), ["file-b"]);
+    assert.deepEqual(report.failedRemovals.map((file) => file.fileId), ["file-a"]);
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+    assert.deepEqual(manifest.files.map((file) => file.fileId), ["file-a", "file-new"]);
+  } finally {
+    cleanup();
+  }
+});